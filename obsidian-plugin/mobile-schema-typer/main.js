@@ -1,6 +1,43 @@
 const { Plugin, PluginSettingTab, Setting, Notice, normalizePath } = require("obsidian");
 
-const TERMINAL_STATUSES = new Set(["done", "superseded", "cancelled"]);
+const SCALAR_FIELD_TYPES = new Set(["number", "date", "datetime", "boolean", "url"]);
+
+// Per-field schema keys (`<rule>.<field>: <value>`) collected into `schema.fieldRules`.
+const FIELD_RULE_PARSERS = {
+  pattern: parsePatternRule,
+  min: (value) => parseCountRule("minItems", value),
+  max: (value) => parseCountRule("maxItems", value),
+  uniqueItems: (value) => {
+    const parsed = parseOptionalBool(value);
+    return parsed === undefined ? null : { uniqueItems: parsed };
+  },
+  requiredIf: parseRequiredIfRule,
+  compute: parseComputeRule,
+  alias: parseAliasRule,
+  describe: (value) => {
+    const text = String(value ?? "").trim();
+    return text ? { description: text } : null;
+  },
+  example: (value) => (value === null || value === undefined ? null : { example: value })
+};
+
+// Filters for `{{name|filter}}` template placeholders. A filter returns null when it cannot apply.
+const TEMPLATE_FILTERS = {
+  date: (value) => leadingIsoDate(value),
+  year: (value) => leadingIsoDate(value)?.slice(0, 4) ?? null,
+  month: (value) => leadingIsoDate(value)?.slice(5, 7) ?? null,
+  day: (value) => leadingIsoDate(value)?.slice(8, 10) ?? null,
+  quarter: (value) => {
+    const date = leadingIsoDate(value);
+    return date ? `Q${Math.ceil(Number(date.slice(5, 7)) / 3)}` : null;
+  },
+  lower: (value) => value.toLowerCase(),
+  upper: (value) => value.toUpperCase(),
+  trim: (value) => value.trim()
+};
+const TEMPLATE_PLACEHOLDER_RE = /\{\{([^{}]+)\}\}/g;
+// Keys every note may carry whatever its schema's `additionalFields` policy.
+const UNIVERSAL_FIELDS = new Set(["type", "tags", "aliases", "cssclasses", "schema_notes"]);
 
 const DEFAULT_SETTINGS = {
   enabled: true,
@@ -8,10 +45,10 @@ const DEFAULT_SETTINGS = {
   debounceMs: 1200,
   schemasFolder: "Schemas",
   excludedFolders: ["Attachments", "Schemas", "Templates"],
-  archiveFolder: "Archive",
   enableDatePrefixRename: false,
   verboseLogging: false,
-  pruneManagedBacklinks: false
+  pruneManagedBacklinks: false,
+  author: ""
 };
 
 module.exports = class MobileSchemaTyperPlugin extends Plugin {
@@ -140,7 +177,6 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
   validateSettings() {
     const next = Object.assign({}, this.settings);
     next.schemasFolder = this.cleanFolder(next.schemasFolder) || "Schemas";
-    next.archiveFolder = this.cleanFolder(next.archiveFolder) || "Archive";
     next.debounceMs = Math.max(250, Number(next.debounceMs) || 1200);
     next.excludedFolders = Array.isArray(next.excludedFolders)
       ? next.excludedFolders.map((folder) => this.cleanFolder(folder)).filter(Boolean)
@@ -276,11 +312,16 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
       }
       const schemaKey = inferredType;
       schema.type = schemaKey;
-      schema.extends = normalizeTypeKey(schema.extends);
+      schema.parents = schema.parents.map(normalizeTypeKey).filter(Boolean);
+      schema.extends = schema.parents[0] || null;
       nextSchemas.set(schemaKey, schema);
-      if (schema.folder) {
-        const folderKey = this.cleanFolder(schema.folder);
-        if (folderKey) nextFolderTypeMap.set(folderKey, schemaKey);
+      // Templated folders are matched by their static base. A schema with `match.*` conditions
+      // does not claim a folder another schema already uses; notes get refined by refineType.
+      // Abstract schemas never claim folders: notes there must pick a concrete type.
+      const hasMatch = Object.keys(schema.match).length > 0;
+      for (const folder of schema.abstract ? [] : schema.folders) {
+        const folderKey = folderTemplateBase(folder);
+        if (folderKey && (!hasMatch || !nextFolderTypeMap.has(folderKey))) nextFolderTypeMap.set(folderKey, schemaKey);
       }
     }
 
@@ -325,48 +366,139 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
     }
   }
 
-  inferType(file) {
-    const folder = this.cleanFolder(file.parent?.path || "");
-    if (folder && this.folderTypeMap.has(folder)) return this.folderTypeMap.get(folder);
-    const firstSegment = folder.split("/")[0] || "";
-    if (this.folderTypeMap.has(firstSegment)) return this.folderTypeMap.get(firstSegment);
-    const segments = folder.split("/").filter(Boolean);
-    while (segments.length > 1) {
-      segments.pop();
+  // Same order as the CLI: `inferFrom.tag`, then the deepest schema folder containing the note,
+  // then `inferFrom.filename`. A tie or a disagreeing later rule is recorded as a warning.
+  inferType(file, fm = {}) {
+    const noteTags = (Array.isArray(fm?.tags) ? fm.tags : [fm?.tags]).map(normalizeTagValue).filter(Boolean);
+    const concrete = [...this.schemas.entries()].filter(([, schema]) => !schema.abstract);
+    const tagTypes = concrete
+      .filter(([, schema]) => (schema.inferFrom?.tags || []).some((tag) => noteTags.includes(tag) || noteTags.includes(`type/${tag}`)))
+      .map(([key]) => key);
+    const folderTypes = [];
+    const segments = this.cleanFolder(file.parent?.path || "").split("/").filter(Boolean);
+    while (segments.length > 0 && folderTypes.length === 0) {
       const ancestor = segments.join("/");
-      if (this.folderTypeMap.has(ancestor)) return this.folderTypeMap.get(ancestor);
+      if (this.folderTypeMap.has(ancestor)) folderTypes.push(this.folderTypeMap.get(ancestor));
+      segments.pop();
     }
-    return null;
+    const filenameTypes = concrete
+      .filter(([, schema]) => schema.inferFrom?.filename && compilePattern(schema.inferFrom.filename).test(file.basename))
+      .map(([key]) => key);
+
+    const rules = [
+      ["tag", tagTypes],
+      ["folder", folderTypes],
+      ["filename", filenameTypes]
+    ].filter(([, types]) => types.length > 0);
+    if (rules.length === 0) return null;
+    const describe = () => rules.map(([name, types]) => `${name} -> ${types.join(", ")}`).join("; ");
+    const [[, winner], ...others] = rules;
+    if (winner.length > 1) {
+      this.recordWarning(`Type inference is ambiguous for '${file.path}': ${describe()}`);
+      return null;
+    }
+    if (others.some(([, types]) => types.some((type) => type !== winner[0]))) {
+      this.recordWarning(`Type inference disagrees for '${file.path}': ${describe()} (using '${winner[0]}')`);
+    }
+    return winner[0];
+  }
+
+  // Same selection as the CLI: among the note's type and its subtypes, the schema whose `match.*`
+  // conditions all hold with the most conditions wins; the note's own type is kept.
+  refineType(type, fm) {
+    const typeKey = normalizeTypeKey(type);
+    const holds = (conditions) => conditions.every(([field, value]) => normalizeTypeKey(fm?.[field]) === normalizeTypeKey(value));
+    const ownConditions = Object.entries(this.schemas.get(typeKey)?.match || {});
+    let best = typeKey;
+    let bestCount = holds(ownConditions) ? ownConditions.length : 0;
+    for (const [key, schema] of this.schemas.entries()) {
+      const conditions = Object.entries(schema.match || {});
+      if (key === typeKey || schema.abstract || conditions.length <= bestCount) continue;
+      if (!typeMatchesOrExtends(key, typeKey, this.schemas) || !holds(conditions)) continue;
+      best = key;
+      bestCount = conditions.length;
+    }
+    return best;
   }
 
   resolveSchema(type) {
     const typeKey = normalizeTypeKey(type);
     if (!typeKey || !this.schemas.has(typeKey)) return null;
+    // Ancestors depth-first, left to right, each once; the schema itself last.
     const chain = [];
     const seen = new Set();
-    let current = this.schemas.get(typeKey);
-    while (current && !seen.has(current.type)) {
-      seen.add(current.type);
-      chain.push(current);
-      current = current.extends ? this.schemas.get(current.extends) : null;
-    }
-    chain.reverse();
+    const visit = (key) => {
+      const schema = this.schemas.get(key);
+      if (!schema || seen.has(key)) return;
+      seen.add(key);
+      for (const parent of schemaParents(schema)) visit(parent);
+      chain.push(schema);
+    };
+    visit(typeKey);
     const merged = {
       type: typeKey,
       fields: new Map(),
       required: new Set(),
       folder: null,
+      folders: [],
       prependDateToTitle: false,
-      pairRulesByField: {}
+      titleTemplate: null,
+      template: null,
+      computeOverwrite: false,
+      additionalFields: true,
+      match: {},
+      pairRulesByField: {},
+      fieldRules: {},
+      unsetFields: new Set(),
+      migrations: { renames: {}, values: {}, drop: [] },
+      deprecated: {},
+      checks: {},
+      archive: {}
     };
     for (const schema of chain) {
-      if (schema.folder) merged.folder = schema.folder;
-      if (schema.prependDateToTitle) merged.prependDateToTitle = true;
+      // `unset.` / `optional.` only strip what was inherited so far.
+      const unsetFields = schema.unset?.fields || [];
+      for (const field of unsetFields) {
+        merged.fields.delete(field);
+        merged.required.delete(field);
+        delete merged.fieldRules[field];
+        delete merged.pairRulesByField[field];
+        merged.unsetFields.add(field);
+      }
+      for (const field of schema.unset?.pairs || []) delete merged.pairRulesByField[field];
+      for (const field of schema.optional || []) merged.required.delete(field);
+      if (schema.archive?.when) merged.archive.when = schema.archive.when;
+      if (schema.archive?.folder !== undefined) merged.archive.folder = schema.archive.folder;
+      Object.assign(merged.migrations.renames, schema.migrations?.renames);
+      Object.assign(merged.deprecated, schema.deprecated);
+      Object.assign(merged.checks, schema.checks);
+      Object.assign(merged.migrations.values, schema.migrations?.values);
+      for (const field of schema.migrations?.drop || []) {
+        if (!merged.migrations.drop.includes(field)) merged.migrations.drop.push(field);
+      }
+      if (schema.folder) {
+        merged.folder = schema.folder;
+        merged.folders = [...schema.folders];
+      }
+      if (schema.prependDateToTitle !== undefined) merged.prependDateToTitle = schema.prependDateToTitle;
+      if (schema.titleTemplate) merged.titleTemplate = schema.titleTemplate;
+      if (schema.template) merged.template = schema.template;
+      if (schema.computeOverwrite !== undefined) merged.computeOverwrite = schema.computeOverwrite;
+      if (schema.additionalFields !== undefined) merged.additionalFields = schema.additionalFields;
+      Object.assign(merged.match, schema.match);
       for (const [k, v] of schema.fields.entries()) merged.fields.set(k, v);
       for (const req of schema.required.values()) merged.required.add(req);
       for (const [field, rule] of Object.entries(schema.pairRulesByField || {})) {
         merged.pairRulesByField[field] = cloneValue(rule);
       }
+      for (const [field, rules] of Object.entries(schema.fieldRules || {})) {
+        merged.fieldRules[field] = Object.assign({}, merged.fieldRules[field], cloneValue(rules));
+      }
+    }
+    for (const field of merged.fields.keys()) merged.unsetFields.delete(field);
+    for (const field of Object.keys(merged.deprecated)) {
+      merged.fields.delete(field);
+      merged.required.delete(field);
     }
     merged.pairRules = Object.values(merged.pairRulesByField);
     return merged;
@@ -374,7 +506,8 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
 
   async expandInlineTypesInFile(file) {
     const text = await this.app.vault.cachedRead(file);
-    const candidates = findInlineTypeCandidates(text, new Set(this.schemas.keys()));
+    const concreteTypes = [...this.schemas.entries()].filter(([, schema]) => !schema.abstract).map(([key]) => key);
+    const candidates = findInlineTypeCandidates(text, new Set(concreteTypes));
     const summary = { candidates: candidates.length, replaced: 0, created: 0, reused: 0, skipped: 0, warnings: [] };
     if (candidates.length === 0) return summary;
 
@@ -384,7 +517,7 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
       const cacheKey = `${candidate.normalizedType}::${normalizeTitleKey(candidate.title)}`;
       let result = cache.get(cacheKey);
       if (!result) {
-        result = await this.ensureTypedNoteForTitle(candidate.title, candidate.normalizedType);
+        result = await this.ensureTypedNoteForTitle(candidate.title, candidate.normalizedType, file);
         cache.set(cacheKey, result);
       }
       if (!result || !result.file) {
@@ -410,14 +543,15 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
     return summary;
   }
 
-  async ensureTypedNoteForTitle(title, type) {
+  async ensureTypedNoteForTitle(title, type, sourceFile = null) {
     const schema = this.resolveSchema(type);
     if (!schema) return { file: null, created: false, warning: `Unknown schema type: ${type}` };
+    if (this.schemas.get(type)?.abstract) return { file: null, created: false, warning: `Type '${type}' is abstract` };
 
     const cleanTitle = sanitizeNoteTitle(title);
     if (!cleanTitle) return { file: null, created: false, warning: `Invalid title for type ${type}` };
 
-    const schemaFolder = this.cleanFolder(schema.folder || "");
+    const schemaFolder = this.cleanFolder(folderTemplateBase(schema.folder || ""));
     const preferredPath = schemaFolder ? normalizePath(`${schemaFolder}/${cleanTitle}.md`) : `${cleanTitle}.md`;
     let file = this.app.vault.getAbstractFileByPath(preferredPath);
     let created = false;
@@ -426,7 +560,7 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
 
     if (file) {
       const fm = (await this.readFreshFrontmatterForFile(file)) || {};
-      const existingType = normalizeTypeKey(fm.type || this.inferType(file));
+      const existingType = normalizeTypeKey(fm.type || this.inferType(file, fm));
       if (existingType && existingType !== type) {
         return {
           file: null,
@@ -436,7 +570,7 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
       }
     } else {
       if (schemaFolder) await this.app.vault.createFolder(schemaFolder).catch(() => {});
-      file = await this.app.vault.create(preferredPath, `---\ntype: ${type}\n---\n`);
+      file = await this.app.vault.create(preferredPath, await this.buildNewNoteText(schema, cleanTitle, sourceFile));
       created = true;
     }
 
@@ -444,6 +578,27 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
     return { file: finalFile, created, warning: null };
   }
 
+  // New notes get `type` plus the body of the schema's `template` note, if it has one.
+  async buildNewNoteText(schema, title, sourceFile) {
+    let body = "";
+    if (schema.template) {
+      const templateFile =
+        this.app.vault.getAbstractFileByPath(normalizePath(`${schema.template}.md`)) ||
+        this.app.metadataCache.getFirstLinkpathDest(schema.template, sourceFile?.path || "");
+      if (templateFile) {
+        const templateText = await this.app.vault.cachedRead(templateFile);
+        body = renderNoteTemplate(parseMarkdownWithFrontmatter(templateText).body, {
+          title,
+          date: formatLocalDate(new Date()),
+          source: sourceFile ? buildWikiLinkToFile(sourceFile) : ""
+        });
+      } else {
+        this.recordWarning(`Template '${schema.template}' for type ${schema.type} not found`);
+      }
+    }
+    return stringifyMarkdownWithFrontmatter({ type: schema.type }, body.trimEnd());
+  }
+
   findExistingNoteByTitle(title) {
     const wanted = normalizeTitleKey(title);
     if (!wanted) return null;
@@ -459,7 +614,7 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
     let type = typeof fm.type === "string" ? fm.type.trim() : "";
     let frontmatterChanged = false;
     if (!type) {
-      const inferred = this.inferType(file);
+      const inferred = this.inferType(file, fm);
       if (inferred) {
         fm.type = inferred;
         type = inferred;
@@ -468,30 +623,68 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
     }
 
     type = normalizeTypeKey(type);
+    const typeMigrations = collectTypeMigrations(this.schemas);
+    if (typeMigrations.has(type)) type = typeMigrations.get(type);
     if (type && fm.type !== type) {
       fm.type = type;
       frontmatterChanged = true;
     }
 
-    const resolved = this.resolveSchema(type);
+    const refinedType = this.refineType(type, fm);
+    const resolved = this.resolveSchema(refinedType);
     if (!resolved) return file;
+    if (this.schemas.get(refinedType)?.abstract) {
+      const subtypes = [...this.schemas.entries()]
+        .filter(([key, schema]) => key !== refinedType && !schema.abstract && typeMatchesOrExtends(key, refinedType, this.schemas))
+        .map(([key]) => `'${key}'`)
+        .sort();
+      this.recordWarning(
+        `'${file.path}' uses abstract type '${refinedType}'; use ${subtypes.length > 0 ? `one of: ${subtypes.join(", ")}` : "a concrete schema that extends it"}`
+      );
+    }
+
+    if (applyFieldMigrations(fm, resolved.migrations)) frontmatterChanged = true;
+    if (this.applyDeprecations(file, fm, resolved)) frontmatterChanged = true;
+    if (this.applyComputedFields(file, fm, resolved)) frontmatterChanged = true;
+
+    for (const field of resolved.unsetFields) {
+      if (Object.prototype.hasOwnProperty.call(fm, field) && countItems(fm[field]) === 0) {
+        delete fm[field];
+        frontmatterChanged = true;
+      }
+    }
 
+    const addedRequired = [];
+    const defaultContext = { path: file.path, settings: this.settings };
     for (const [field, def] of resolved.fields.entries()) {
       const hasField = Object.prototype.hasOwnProperty.call(fm, field);
       if (!hasField && resolved.required.has(field)) {
-        fm[field] = defaultValueForMissing(def);
+        fm[field] = defaultValueForMissing(def, defaultContext);
         frontmatterChanged = true;
+        addedRequired.push(field);
       } else if (!hasField && def.defaultDefined) {
-        fm[field] = cloneValue(def.defaultValue);
+        const value = resolveDefaultValue(def.defaultValue, defaultContext);
+        if (value === undefined) continue;
+        fm[field] = value;
         frontmatterChanged = true;
       }
     }
 
+    this.describeAddedFields(file, addedRequired, resolved);
+
     if (resolved.required.has("type") && !fm.type) {
       fm.type = type || "";
       frontmatterChanged = true;
     }
 
+    if (this.addConditionalRequiredFields(file, fm, resolved)) frontmatterChanged = true;
+    if (this.coerceTypedFields(file, fm, resolved)) frontmatterChanged = true;
+    if (this.normalizeEnumValues(file, fm, resolved)) frontmatterChanged = true;
+    if (this.dedupeUniqueItems(fm, resolved)) frontmatterChanged = true;
+    if (this.applyAdditionalFieldsPolicy(file, fm, resolved)) frontmatterChanged = true;
+    this.checkFieldRules(file, fm, resolved);
+    this.checkConstraints(file, fm, resolved);
+
     if (frontmatterChanged) {
       const nextText = stringifyMarkdownWithFrontmatter(fm, parsed.body);
       if (nextText !== text) {
@@ -508,7 +701,22 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
     if (!latest || !latest.path) return file;
     let currentFile = latest;
 
-    if (this.settings.enableDatePrefixRename && resolved.prependDateToTitle) {
+    if (this.settings.enableDatePrefixRename && resolved.titleTemplate) {
+      const baseName = currentFile.basename;
+      const lookup = (name) => (name === "filename" ? baseName : fm[name]);
+      const nextName = renderTitleTemplate(resolved.titleTemplate, lookup, baseName);
+      if (nextName && nextName !== baseName) {
+        const targetPath = normalizePath(`${currentFile.parent.path}/${nextName}.md`);
+        if (!(await this.exists(targetPath))) {
+          await this.app.fileManager.renameFile(currentFile, targetPath);
+          this.markSelfTouch(targetPath);
+          this.runStats.renamed += 1;
+          currentFile = this.app.vault.getAbstractFileByPath(targetPath);
+        } else {
+          this.recordWarning(`Cannot rename '${currentFile.path}' by titleTemplate: '${targetPath}' already exists`);
+        }
+      }
+    } else if (this.settings.enableDatePrefixRename && resolved.prependDateToTitle) {
       const datePrefix = extractDatePrefix(fm.date);
       if (datePrefix) {
         const baseName = currentFile.basename;
@@ -525,10 +733,10 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
       }
     }
 
-    const targetFolder = this.targetFolderForNote(fm, resolved);
+    const parentPath = this.cleanFolder(currentFile.parent?.path || "");
+    const targetFolder = this.targetFolderForNote(fm, resolved, parentPath, currentFile.basename);
     if (targetFolder) {
       const normalizedTarget = this.cleanFolder(targetFolder);
-      const parentPath = this.cleanFolder(currentFile.parent?.path || "");
       if (normalizedTarget && normalizedTarget !== parentPath) {
         const targetPath = normalizePath(`${normalizedTarget}/${currentFile.name}`);
         if (!(await this.exists(targetPath))) {
@@ -544,10 +752,194 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
     return currentFile;
   }
 
-  targetFolderForNote(frontmatter, resolvedSchema) {
-    const status = String(frontmatter?.status || "").trim().toLowerCase();
-    if (TERMINAL_STATUSES.has(status)) return this.settings.archiveFolder;
-    return resolvedSchema.folder || null;
+  applyComputedFields(file, fm, resolved) {
+    let changed = false;
+    const lookup = (name) => (name === "filename" ? file.basename : fm[name]);
+    for (const [field, rules] of Object.entries(resolved.fieldRules || {})) {
+      if (!rules.compute) continue;
+      if (!resolved.computeOverwrite && countItems(fm[field]) > 0) continue;
+      const rendered = renderTemplate(rules.compute, lookup);
+      if (rendered === null) continue;
+      const kind = resolved.fields.get(field)?.kind;
+      const coerced = SCALAR_FIELD_TYPES.has(kind) ? coerceTypedValue(kind, rendered) : undefined;
+      const next = coerced === undefined ? rendered : coerced;
+      if (JSON.stringify(next) === JSON.stringify(fm[field])) continue;
+      fm[field] = next;
+      changed = true;
+    }
+    return changed;
+  }
+
+  addConditionalRequiredFields(file, fm, resolved) {
+    let changed = false;
+    for (const [field, rules] of Object.entries(resolved.fieldRules || {})) {
+      if (!rules.requiredIf || Object.prototype.hasOwnProperty.call(fm, field)) continue;
+      if (!conditionHolds(rules.requiredIf, fm)) continue;
+      fm[field] = defaultValueForMissing(resolved.fields.get(field), { path: file.path, settings: this.settings });
+      changed = true;
+    }
+    return changed;
+  }
+
+  coerceTypedFields(file, fm, resolved) {
+    let changed = false;
+    for (const [field, def] of resolved.fields.entries()) {
+      if (!SCALAR_FIELD_TYPES.has(def.kind)) continue;
+      const value = fm[field];
+      if (value === undefined || value === null || value === "") continue;
+      const coerced = coerceTypedValue(def.kind, value);
+      if (coerced === undefined) {
+        this.recordWarning(`'${field}' on '${file.path}' should be ${def.kind}, got '${value}'`);
+        continue;
+      }
+      if (coerced !== value) {
+        fm[field] = coerced;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  // Same rules as the CLI's fix mode; fields that cannot be moved or only carry a reason are warned about.
+  applyDeprecations(file, fm, resolved) {
+    let changed = false;
+    for (const [field, rule] of Object.entries(resolved.deprecated || {})) {
+      if (!Object.prototype.hasOwnProperty.call(fm, field)) continue;
+      if (rule.action === "warn") {
+        this.recordWarning(`Deprecated field '${field}' on ${file.path}: ${rule.reason || "no longer used"}`);
+        continue;
+      }
+      if (rule.action === "move" && countItems(fm[field]) > 0) {
+        if (countItems(fm[rule.to]) === 0) {
+          fm[rule.to] = fm[field];
+        } else if (JSON.stringify(fm[rule.to]) !== JSON.stringify(fm[field])) {
+          this.recordWarning(`Deprecated field '${field}' on ${file.path}: '${rule.to}' already holds a different value`);
+          continue;
+        }
+      }
+      delete fm[field];
+      changed = true;
+    }
+    return changed;
+  }
+
+  // Explains newly added required placeholders that have a `describe.*` text.
+  describeAddedFields(file, fields, resolved) {
+    const lines = fields
+      .map((field) => {
+        const rules = resolved.fieldRules?.[field] || {};
+        if (!rules.description) return null;
+        const example = rules.example === undefined ? "" : ` (e.g. ${serializeScalar(rules.example)})`;
+        return `${field}: ${rules.description}${example}`;
+      })
+      .filter(Boolean);
+    if (lines.length === 0) return;
+    new Notice(`${file.basename} needs:\n${lines.join("\n")}`);
+  }
+
+  // `remove` deletes undeclared keys; `false` and `warn` only record a warning.
+  applyAdditionalFieldsPolicy(file, fm, resolved) {
+    const policy = resolved.additionalFields;
+    if (policy === true) return false;
+    const declared = new Set([
+      ...UNIVERSAL_FIELDS,
+      ...resolved.fields.keys(),
+      ...Object.keys(resolved.fieldRules || {}),
+      ...Object.keys(resolved.pairRulesByField || {}),
+      ...Object.keys(resolved.match || {}),
+      ...Object.keys(resolved.deprecated || {}),
+      ...Object.values(resolved.fieldRules || {}).flatMap((rules) => (rules.requiredIf ? [rules.requiredIf.field] : [])),
+      ...(resolved.archive?.when ? [resolved.archive.when.field] : []),
+      ...Object.values(resolved.checks || {}).flatMap((check) => checkExpressionFields(check.expr))
+    ]);
+    let changed = false;
+    for (const field of Object.keys(fm)) {
+      if (declared.has(field)) continue;
+      if (policy === "remove") {
+        delete fm[field];
+        changed = true;
+      } else {
+        this.recordWarning(`Undeclared field '${field}' on ${file.path}`);
+      }
+    }
+    return changed;
+  }
+
+  normalizeEnumValues(file, fm, resolved) {
+    let changed = false;
+    for (const [field, def] of resolved.fields.entries()) {
+      const aliases = resolved.fieldRules?.[field]?.alias;
+      if (!def.enumValues && !aliases) continue;
+      const value = fm[field];
+      const next = Array.isArray(value)
+        ? value.map((entry) => canonicalEnumValue(entry, def.enumValues, aliases))
+        : canonicalEnumValue(value, def.enumValues, aliases);
+      if (JSON.stringify(next) === JSON.stringify(value)) continue;
+      fm[field] = next;
+      changed = true;
+      if (this.settings.verboseLogging) {
+        console.log(`[mobile-schema-typer] normalized '${field}' on ${file.path}: ${JSON.stringify(value)} -> ${JSON.stringify(next)}`);
+      }
+    }
+    return changed;
+  }
+
+  dedupeUniqueItems(fm, resolved) {
+    let changed = false;
+    for (const [field, rules] of Object.entries(resolved.fieldRules || {})) {
+      if (!rules.uniqueItems || !Array.isArray(fm[field])) continue;
+      const deduped = dedupeItems(fm[field]);
+      if (deduped.length !== fm[field].length) {
+        fm[field] = deduped;
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  checkFieldRules(file, fm, resolved) {
+    for (const [field, rules] of Object.entries(resolved.fieldRules || {})) {
+      const value = fm[field];
+      const count = countItems(value);
+      if (rules.minItems !== undefined && count < rules.minItems) {
+        this.recordWarning(`'${field}' on '${file.path}' should have at least ${rules.minItems} item(s), got ${count}`);
+      }
+      if (rules.maxItems !== undefined && count > rules.maxItems) {
+        this.recordWarning(`'${field}' on '${file.path}' should have at most ${rules.maxItems} item(s), got ${count}`);
+      }
+      if (rules.pattern) {
+        let re = null;
+        try {
+          re = compilePattern(rules.pattern);
+        } catch (error) {
+          this.recordWarning(`Invalid pattern for '${field}' in schema '${resolved.type}': ${error.message}`);
+        }
+        const values = Array.isArray(value) ? value : [value];
+        for (const item of re ? values : []) {
+          if (typeof item !== "string" || item === "" || re.test(item)) continue;
+          this.recordWarning(`'${field}' on '${file.path}' should match pattern ${rules.pattern}, got '${item}'`);
+        }
+      }
+    }
+  }
+
+  checkConstraints(file, fm, resolved) {
+    for (const [name, check] of Object.entries(resolved.checks || {})) {
+      if (evaluateCheckExpression(check.expr, fm)) continue;
+      this.recordWarning(`Check '${name}' failed on ${file.path}: ${check.source}`);
+    }
+  }
+
+  targetFolderForNote(frontmatter, resolvedSchema, parentPath = "", basename = "") {
+    const archive = resolvedSchema.archive || {};
+    if (archive.when && archive.folder !== false && conditionHolds(archive.when, frontmatter || {})) {
+      return archive.folder || "Archive";
+    }
+    // Templated folders render against the note and fall back to their static base.
+    const lookup = (name) => (name === "filename" ? basename : frontmatter?.[name]);
+    const allowed = resolvedSchema.folders.map((folder) => renderFolderPath(folder, lookup));
+    if (isInSchemaFolders(parentPath, allowed)) return null;
+    return resolvedSchema.folder ? renderFolderPath(resolvedSchema.folder, lookup) || null : null;
   }
 
   async exists(filePath) {
@@ -568,7 +960,7 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
       if (!file || file.extension !== "md") continue;
       const fm = (await this.readFreshFrontmatterForFile(file)) || {};
       const type = typeof fm.type === "string" ? fm.type.trim() : "";
-      const schema = this.resolveSchema(type);
+      const schema = this.resolveSchema(this.refineType(type, fm));
       if (!schema || !Array.isArray(schema.pairRules) || schema.pairRules.length === 0) continue;
       const title = String(file.basename || "").trim();
       const note = { file, frontmatter: fm, schema, title };
@@ -692,7 +1084,7 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
     const cache = this.app.metadataCache.getFileCache(destination);
     const fm = cache?.frontmatter ? cloneValue(cache.frontmatter) : {};
     const type = typeof fm.type === "string" ? normalizeTypeKey(fm.type) : "";
-    const schema = this.resolveSchema(type);
+    const schema = this.resolveSchema(this.refineType(type, fm));
     if (!schema) {
       this.recordWarning(
         `Resolved backlink target '${destination.path}' has no matching schema (${descriptor})`
@@ -738,6 +1130,15 @@ module.exports = class MobileSchemaTyperPlugin extends Plugin {
 
   async loadSettings() {
     this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+    // The `Archive folder` setting was replaced by the `archive.when` / `archive.folder` schema keys.
+    if (this.settings.archiveFolder !== undefined) {
+      const folder = String(this.settings.archiveFolder || "").trim();
+      delete this.settings.archiveFolder;
+      if (folder && folder !== "Archive") {
+        new Notice(`Mobile Schema Typer: the Archive folder setting ('${folder}') was removed. Set archive.folder in your schemas instead.`);
+      }
+      await this.saveData(this.settings);
+    }
     this.validateSettings();
   }
 
@@ -815,19 +1216,8 @@ class MobileSchemaTyperSettingTab extends PluginSettingTab {
       );
 
     new Setting(containerEl)
-      .setName("Archive folder")
-      .setDesc("Target folder when status is done/superseded/cancelled.")
-      .addText((text) =>
-        text.setValue(this.plugin.settings.archiveFolder).onChange(async (value) => {
-          this.plugin.settings.archiveFolder = value.trim() || "Archive";
-          await this.plugin.saveSettings();
-          this.display();
-        })
-      );
-
-    new Setting(containerEl)
-      .setName("Enable date prefix rename")
-      .setDesc("If enabled, prepend YYYY-MM-DD to title when schema requests it.")
+      .setName("Enable title rename")
+      .setDesc("If enabled, rename notes by the schema's titleTemplate, or prepend YYYY-MM-DD when it sets prependDateToTitle.")
       .addToggle((toggle) =>
         toggle.setValue(this.plugin.settings.enableDatePrefixRename).onChange(async (value) => {
           this.plugin.settings.enableDatePrefixRename = value;
@@ -854,6 +1244,16 @@ class MobileSchemaTyperSettingTab extends PluginSettingTab {
           await this.plugin.saveSettings();
         })
       );
+
+    new Setting(containerEl)
+      .setName("Author")
+      .setDesc("Value of {{setting.author}} in schema defaults, such as default.owner.")
+      .addText((text) =>
+        text.setValue(this.plugin.settings.author).onChange(async (value) => {
+          this.plugin.settings.author = value.trim();
+          await this.plugin.saveSettings();
+        })
+      );
   }
 }
 
@@ -913,6 +1313,7 @@ function parseFrontmatter(text) {
   for (const line of lines) {
     if (!line.trim()) continue;
     if (currentArrayKey && /^\s*-\s*/.test(line)) {
+      if (!Array.isArray(out[currentArrayKey])) out[currentArrayKey] = [];
       out[currentArrayKey].push(parseScalar(line.replace(/^\s*-\s*/, "")));
       continue;
     }
@@ -924,8 +1325,9 @@ function parseFrontmatter(text) {
     const key = String(match[1]).trim();
     const raw = String(match[2]).trim();
     if (raw === "") {
+      // Either an empty value or the start of a block list (`key:` followed by `- item` lines).
       out[key] = "";
-      currentArrayKey = null;
+      currentArrayKey = key;
       continue;
     }
     if (raw === "[]") {
@@ -948,20 +1350,188 @@ function parseScalar(value) {
   if (v === "false") return false;
   if (v === "null" || v === "~") return null;
   if (/^-?\d+(\.\d+)?$/.test(v)) return Number(v);
+  // Inline lists (`[a, b]`); `[[link]]` values stay strings.
+  if (v.startsWith("[") && v.endsWith("]") && !v.startsWith("[[")) {
+    const inner = v.slice(1, -1).trim();
+    return inner ? inner.split(",").map((item) => parseScalar(item)) : [];
+  }
   return v;
 }
 
+// `folder` accepts one path or a list of paths. The entry marked with a trailing `*` is the
+// default move target; otherwise the first entry is. The vault root never counts as a folder.
+function parseSchemaFolders(value) {
+  const entries = Array.isArray(value) ? value : value === null || value === undefined ? [] : [value];
+  const folders = [];
+  let folder = null;
+  for (const entry of entries) {
+    const raw = String(entry ?? "").trim();
+    const isDefault = raw.endsWith("*");
+    const clean = (isDefault ? raw.slice(0, -1) : raw)
+      .split("/")
+      .map((segment) => segment.trim())
+      .filter(Boolean)
+      .join("/");
+    if (!clean) continue;
+    if (!folders.includes(clean)) folders.push(clean);
+    if (isDefault && folder === null) folder = clean;
+  }
+  if (folders.length === 0) return { folder: null, folders: [] };
+  if (folder === null) folder = folders[0];
+  return { folder, folders: [folder, ...folders.filter((f) => f !== folder)] };
+}
+
+function hasTemplatePlaceholder(text) {
+  return /\{\{[^{}]+\}\}/.test(String(text || ""));
+}
+
+// The static part of a templated folder: `Meetings/{{date:YYYY}}` -> `Meetings`.
+function folderTemplateBase(folder) {
+  const segments = String(folder || "").split("/");
+  const firstTemplated = segments.findIndex((segment) => hasTemplatePlaceholder(segment));
+  return firstTemplated === -1 ? folder : segments.slice(0, firstTemplated).join("/");
+}
+
+// Folder placeholders read one value per segment: links become their note name and characters
+// that are not allowed in folder names are dropped.
+function folderSegmentValue(value) {
+  const first = Array.isArray(value) ? value.find((v) => v !== null && v !== "") : value;
+  if (first === undefined || first === null || first instanceof Date) return first;
+  const raw = String(first).trim();
+  const name = (parseWikiLinkTarget(raw) || raw).split("/").pop();
+  const clean = name.replace(/[\\/:*?"<>|#^[\]]/g, " ").replace(/\s+/g, " ").trim();
+  return /^\.*$/.test(clean) ? "" : clean;
+}
+
+// Renders a `titleTemplate`, re-deriving `{{title}}` from the current name the same way as the
+// CLI so that applying the template again changes nothing.
+function renderTitleTemplate(template, lookup, currentStem) {
+  const valueLookup = (name) => folderSegmentValue(lookup(name));
+  const source = String(template);
+  let pattern = "";
+  let titleGroup = false;
+  let last = 0;
+  for (const match of source.matchAll(TEMPLATE_PLACEHOLDER_RE)) {
+    pattern += escapeRegExp(sanitizeTitleText(source.slice(last, match.index)));
+    last = match.index + match[0].length;
+    if (parseTemplatePlaceholder(match[1]).name === "title") {
+      pattern += titleGroup ? "\\1" : "(.+?)";
+      titleGroup = true;
+      continue;
+    }
+    const value = renderTemplate(match[0], valueLookup);
+    if (value === null) return null;
+    pattern += /^\d{4}-\d{2}-\d{2}$/.test(value) ? "\\d{4}-\\d{2}-\\d{2}" : escapeRegExp(sanitizeTitleText(value));
+  }
+  pattern += escapeRegExp(sanitizeTitleText(source.slice(last)));
+  const existing = titleGroup ? currentStem.match(new RegExp(`^${pattern}$`)) : null;
+  const title = existing ? existing[1] : currentStem;
+  const rendered = renderTemplate(source, (name) => (name === "title" ? title : valueLookup(name)));
+  return rendered === null ? null : sanitizeNoteTitle(rendered) || null;
+}
+
+// `sanitizeNoteTitle` without trimming, so literal separators keep their spacing.
+function sanitizeTitleText(text) {
+  return String(text).replace(/[\\/:*?"<>|#^\[\]]+/g, " ").replace(/\s+/g, " ");
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function renderFolderPath(folder, lookup) {
+  if (!hasTemplatePlaceholder(folder)) return folder;
+  const rendered = renderTemplate(folder, (name) => folderSegmentValue(lookup(name)));
+  if (rendered === null) return folderTemplateBase(folder);
+  return rendered.split("/").map((segment) => segment.trim()).filter(Boolean).join("/");
+}
+
+// A note is in place when its folder is one of the schema folders or below one of them.
+function isInSchemaFolders(folderPath, folders) {
+  return (folders || []).some((folder) => folderPath === folder || folderPath.startsWith(`${folder}/`));
+}
+
 function parseSchemaFrontmatter(fm, options = {}) {
-  const reserved = new Set(["type", "extends", "folder", "purpose", "prependDateToTitle"]);
+  const reserved = new Set(["type", "extends", "folder", "purpose", "prependDateToTitle", "titleTemplate", "template", "computeOverwrite", "additionalFields", "abstract"]);
   const required = new Set(["type"]);
   const fields = new Map();
   const explicitDefaults = new Map();
   const pairRulesByField = {};
+  const fieldRules = {};
+  const unset = { fields: [], pairs: [] };
+  const optional = [];
+  const migrations = { types: {}, renames: {}, values: {}, drop: [] };
+  const deprecated = {};
+  const checks = {};
+  const archive = {};
+  const match = {};
+  const inferFrom = { tags: [], filename: null };
 
   for (const [rawKey, rawValue] of Object.entries(fm)) {
     const key = String(rawKey).trim();
     if (!key) continue;
     const baseKey = key.endsWith("*") ? key.slice(0, -1) : key;
+    if (baseKey.startsWith("match.")) {
+      const field = baseKey.slice("match.".length).trim();
+      if (field && rawValue !== null && rawValue !== undefined && String(rawValue).trim() !== "") {
+        match[field] = String(rawValue).trim();
+      }
+      continue;
+    }
+    if (baseKey === "archive.when") {
+      const condition = parseFieldCondition(rawValue);
+      if (condition) archive.when = condition;
+      continue;
+    }
+    if (baseKey === "archive.folder") {
+      const folder = String(rawValue ?? "").trim();
+      archive.folder = /^(none|false)$/i.test(folder) ? false : parseSchemaFolders(folder).folder || "Archive";
+      continue;
+    }
+    if (baseKey.startsWith("migrate.")) {
+      parseMigrationKey(migrations, baseKey, rawValue);
+      continue;
+    }
+    if (baseKey === "inferFrom.tag") {
+      const tags = Array.isArray(rawValue) ? rawValue : String(rawValue ?? "").split(",");
+      inferFrom.tags.push(...tags.map(normalizeTagValue).filter(Boolean));
+      continue;
+    }
+    if (baseKey === "inferFrom.filename") {
+      const source = String(rawValue ?? "").trim();
+      try {
+        if (source) compilePattern(source);
+        inferFrom.filename = source || null;
+      } catch {
+        inferFrom.filename = null;
+      }
+      continue;
+    }
+    if (baseKey.startsWith("deprecated.")) {
+      const field = baseKey.slice("deprecated.".length).trim();
+      if (field) deprecated[field] = parseDeprecationRule(rawValue);
+      continue;
+    }
+    if (baseKey.startsWith("check.")) {
+      const name = baseKey.slice("check.".length).trim();
+      const expr = parseCheckExpression(rawValue);
+      if (name && expr) checks[name] = { source: String(rawValue).trim(), expr };
+      continue;
+    }
+    if (baseKey.startsWith("unset.") || baseKey.startsWith("optional.")) {
+      if (parseOptionalBool(rawValue) !== true) continue;
+      if (baseKey.startsWith("optional.")) {
+        const field = baseKey.slice("optional.".length).trim();
+        if (field) optional.push(field);
+      } else if (baseKey.startsWith("unset.pair.")) {
+        const field = baseKey.slice("unset.pair.".length).trim();
+        if (field) unset.pairs.push(field);
+      } else {
+        const field = baseKey.slice("unset.".length).trim();
+        if (field) unset.fields.push(field);
+      }
+      continue;
+    }
     if (baseKey.startsWith("pair.")) {
       const sourceField = baseKey.slice("pair.".length).trim();
       if (!sourceField) continue;
@@ -1008,8 +1578,17 @@ function parseSchemaFrontmatter(fm, options = {}) {
       }
       continue;
     }
+    const ruleMatch = baseKey.match(/^([A-Za-z]+)\.(.+)$/);
+    if (ruleMatch && Object.prototype.hasOwnProperty.call(FIELD_RULE_PARSERS, ruleMatch[1])) {
+      const field = ruleMatch[2].trim();
+      const rule = field ? FIELD_RULE_PARSERS[ruleMatch[1]](rawValue) : null;
+      if (rule) fieldRules[field] = Object.assign({}, fieldRules[field], rule);
+      continue;
+    }
     const normalized = normalizeSchemaKey(key);
     if (!normalized) continue;
+    // Ignore unknown namespaced keys, as the CLI does.
+    if (normalized.name.includes(".")) continue;
     if (normalized.required) required.add(normalized.name);
     if (reserved.has(normalized.name)) continue;
     fields.set(normalized.name, parseFieldDefinition(rawValue));
@@ -1027,14 +1606,30 @@ function parseSchemaFrontmatter(fm, options = {}) {
     }
   }
 
+  const parents = parseExtendsList(fm.extends);
   return {
     type: String(options.type || fm.type || "").trim(),
-    extends: parseSimpleWikiLinkRef(fm.extends),
-    folder: String(fm.folder || "").trim().replace(/^\/+|\/+$/g, "") || null,
+    extends: parents[0] || null,
+    parents,
+    ...parseSchemaFolders(fm.folder),
     prependDateToTitle: parseOptionalBool(fm.prependDateToTitle),
+    titleTemplate: typeof fm.titleTemplate === "string" && fm.titleTemplate.trim() ? fm.titleTemplate.trim() : null,
+    template: parseTemplateRef(fm.template),
+    computeOverwrite: parseOptionalBool(fm.computeOverwrite),
+    abstract: parseOptionalBool(fm.abstract) === true,
+    inferFrom,
+    additionalFields: parseAdditionalFieldsPolicy(fm.additionalFields),
     required,
     fields,
-    pairRulesByField
+    pairRulesByField,
+    fieldRules,
+    unset,
+    optional,
+    migrations,
+    deprecated,
+    checks,
+    archive,
+    match
   };
 }
 
@@ -1053,12 +1648,388 @@ function normalizeSchemaKey(key) {
   return { name: k, required };
 }
 
-function parseSimpleWikiLinkRef(value) {
+function parseExtendsList(value) {
+  const items = Array.isArray(value) ? value : [value];
+  const parents = [];
+  for (const item of items) {
+    if (typeof item !== "string") continue;
+    for (const m of item.matchAll(/\[\[([^\]|#]+)\]\]/g)) {
+      const parent = m[1].trim();
+      if (parent && !parents.includes(parent)) parents.push(parent);
+    }
+  }
+  return parents;
+}
+
+function schemaParents(schema) {
+  if (Array.isArray(schema?.parents)) return schema.parents;
+  return schema?.extends ? [schema.extends] : [];
+}
+
+function parsePatternRule(value) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  return { pattern: String(value).trim() };
+}
+
+function parseCountRule(name, value) {
+  const n = Number(String(value ?? "").trim());
+  if (String(value ?? "").trim() === "" || !Number.isInteger(n) || n < 0) return null;
+  return { [name]: n };
+}
+
+function parseComputeRule(value) {
+  const template = typeof value === "string" ? value.trim() : "";
+  if (!template) return null;
+  const filters = [...template.matchAll(TEMPLATE_PLACEHOLDER_RE)].flatMap((m) => parseTemplatePlaceholder(m[1]).filters);
+  if (filters.some((name) => !Object.prototype.hasOwnProperty.call(TEMPLATE_FILTERS, name))) return null;
+  return { compute: template };
+}
+
+// `{{name:FORMAT|filter}}`: the optional `:FORMAT` formats a date value (`YYYY`, `MM`, `DD`, `Q`).
+function parseTemplatePlaceholder(inner) {
+  const [head, ...filters] = inner.split("|").map((part) => part.trim());
+  const colon = head.indexOf(":");
+  return {
+    name: colon === -1 ? head : head.slice(0, colon).trim(),
+    format: colon === -1 ? null : head.slice(colon + 1).trim(),
+    filters
+  };
+}
+
+function formatIsoDate(isoDate, format) {
+  if (!isoDate) return null;
+  const [year, month, day] = isoDate.split("-");
+  const parts = { YYYY: year, MM: month, DD: day, Q: String(Math.ceil(Number(month) / 3)) };
+  return format.replace(/YYYY|MM|DD|Q/g, (token) => parts[token]);
+}
+
+// Renders `{{name|filter|...}}` placeholders; `lookup(name)` supplies values. Returns null when
+// any placeholder has no value or a filter cannot apply, so callers leave the target alone.
+function renderTemplate(template, lookup) {
+  let failed = false;
+  const out = String(template).replace(TEMPLATE_PLACEHOLDER_RE, (_, inner) => {
+    const { name, format, filters } = parseTemplatePlaceholder(inner);
+    const raw = lookup(name);
+    let value = Array.isArray(raw) ? raw.filter((v) => v !== null && v !== "").join(", ") : raw;
+    if (value === undefined || value === null || value === "") {
+      failed = true;
+      return "";
+    }
+    value = value instanceof Date ? leadingIsoDate(value) : String(value);
+    if (format) value = formatIsoDate(leadingIsoDate(value), format);
+    if (value === null) {
+      failed = true;
+      return "";
+    }
+    for (const filter of filters) {
+      value = TEMPLATE_FILTERS[filter] ? TEMPLATE_FILTERS[filter](value) : null;
+      if (value === null || value === "") {
+        failed = true;
+        return "";
+      }
+    }
+    return value;
+  });
+  return failed ? null : out;
+}
+
+// `template: [[Templates/meeting]]` (or a plain vault path) names the note whose body seeds new notes.
+function parseTemplateRef(value) {
   if (typeof value !== "string") return null;
-  const trimmed = value.trim();
-  const m = trimmed.match(/^\[\[([^\]|#]+)\]\]$/);
-  if (!m) return null;
-  return m[1].trim() || null;
+  const ref = parseWikiLinkTarget(value.trim()) || value.trim();
+  return ref ? ref.replace(/\.md$/i, "") : null;
+}
+
+// Fills the `{{title}}`, `{{date}}` and `{{source}}` placeholders of a note template; any other
+// placeholder is left for the user's own template tooling.
+function renderNoteTemplate(text, values) {
+  return String(text).replace(/\{\{\s*(title|date|source)\s*\}\}/g, (_full, name) => values[name] ?? "");
+}
+
+function formatLocalDate(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+function formatLocalDateTime(date) {
+  const h = String(date.getHours()).padStart(2, "0");
+  const min = String(date.getMinutes()).padStart(2, "0");
+  return `${formatLocalDate(date)}T${h}:${min}`;
+}
+
+function parseRequiredIfRule(value) {
+  const condition = parseFieldCondition(value);
+  return condition ? { requiredIf: condition } : null;
+}
+
+// `<field>=<value>[,<value>]` or `<field> in <value>[,<value>]`.
+function parseFieldCondition(value) {
+  const m = String(value ?? "").match(/^\s*([^=\s]+)\s*(?:=|\s+in\s+)(.*)$/);
+  const values = m ? m[2].split(",").map((v) => v.trim()).filter(Boolean) : [];
+  return values.length > 0 ? { field: m[1], values } : null;
+}
+
+// `migrate.type.<legacy>`, `migrate.rename.<old>`, `migrate.values.<field>` and `migrate.drop`,
+// with the same meaning as in the CLI.
+function parseMigrationKey(migrations, key, value) {
+  const m = key.match(/^migrate\.(type|rename|values)\.(.+)$/);
+  if (key === "migrate.drop") {
+    const fields = (Array.isArray(value) ? value : String(value ?? "").split(","))
+      .map((field) => String(field ?? "").trim())
+      .filter(Boolean);
+    migrations.drop.push(...fields);
+  } else if (m && m[1] === "type") {
+    const target = normalizeTypeKey(String(value ?? "").replace(/^\[\[|\]\]$/g, ""));
+    if (target) migrations.types[normalizeTypeKey(m[2])] = target;
+  } else if (m && m[1] === "rename") {
+    const target = String(value ?? "").trim();
+    if (target) migrations.renames[m[2].trim()] = target;
+  } else if (m && m[1] === "values") {
+    const rule = parseAliasRule(value);
+    if (rule) migrations.values[m[2].trim()] = rule.alias;
+  }
+}
+
+// `additionalFields: false | warn | remove`; unset or invalid values leave the inherited policy.
+function parseAdditionalFieldsPolicy(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (text === "warn" || text === "remove") return text;
+  return parseOptionalBool(value);
+}
+
+// `deprecated.<field>: drop | <replacement field> | <reason>`, with the same meaning as in the CLI.
+function parseDeprecationRule(value) {
+  const text = String(value ?? "").trim();
+  if (/^drop$/i.test(text)) return { action: "drop" };
+  if (/^[A-Za-z_][\w-]*$/.test(text)) return { action: "move", to: text };
+  return { action: "warn", reason: text || null };
+}
+
+function collectTypeMigrations(schemas) {
+  const out = new Map();
+  for (const schema of schemas.values()) {
+    for (const [legacy, target] of Object.entries(schema.migrations?.types || {})) {
+      if (!out.has(legacy)) out.set(legacy, target);
+    }
+  }
+  return out;
+}
+
+function applyFieldMigrations(fm, migrations) {
+  let changed = false;
+  for (const [from, to] of Object.entries(migrations?.renames || {})) {
+    if (!Object.prototype.hasOwnProperty.call(fm, from)) continue;
+    if (!Object.prototype.hasOwnProperty.call(fm, to)) fm[to] = fm[from];
+    delete fm[from];
+    changed = true;
+  }
+  for (const [field, map] of Object.entries(migrations?.values || {})) {
+    const migrate = (value) => {
+      const lowered = typeof value === "string" ? value.trim().toLowerCase() : null;
+      return lowered !== null && Object.prototype.hasOwnProperty.call(map, lowered) ? map[lowered] : value;
+    };
+    const next = Array.isArray(fm[field]) ? fm[field].map(migrate) : migrate(fm[field]);
+    if (JSON.stringify(next) !== JSON.stringify(fm[field])) {
+      fm[field] = next;
+      changed = true;
+    }
+  }
+  for (const field of migrations?.drop || []) {
+    if (!Object.prototype.hasOwnProperty.call(fm, field)) continue;
+    delete fm[field];
+    changed = true;
+  }
+  return changed;
+}
+
+// `alias.<field>: wip=active, in progress=active` maps synonyms (case-insensitive) to canonical values.
+function parseAliasRule(value) {
+  const entries = (Array.isArray(value) ? value : String(value ?? "").split(","))
+    .map((entry) => String(entry ?? "").trim())
+    .filter(Boolean);
+  const alias = {};
+  for (const entry of entries) {
+    const m = entry.match(/^(.+?)\s*=\s*(.+)$/);
+    if (m) alias[m[1].trim().toLowerCase()] = m[2].trim();
+  }
+  return Object.keys(alias).length > 0 ? { alias } : null;
+}
+
+// Resolves alias synonyms first, then matches enum entries case-insensitively.
+function canonicalEnumValue(value, enumValues, aliases) {
+  if (typeof value !== "string") return value;
+  const lowered = value.trim().toLowerCase();
+  const candidate = aliases && Object.prototype.hasOwnProperty.call(aliases, lowered) ? aliases[lowered] : value;
+  const matched = (enumValues || []).find((entry) => entry.toLowerCase() === String(candidate).toLowerCase());
+  return matched !== undefined ? matched : candidate;
+}
+
+function conditionHolds(condition, fm) {
+  const wanted = new Set(condition.values.map((v) => v.toLowerCase()));
+  const actual = Array.isArray(fm[condition.field]) ? fm[condition.field] : [fm[condition.field]];
+  return actual.some((v) => v !== undefined && v !== null && wanted.has(String(v).trim().toLowerCase()));
+}
+
+function itemIdentityKey(item) {
+  const raw = typeof item === "string" ? item : String(item);
+  return normalizeTitleKey(parseWikiLinkTarget(raw) || raw);
+}
+
+function dedupeItems(items) {
+  const seen = new Set();
+  return items.filter((item) => {
+    const key = itemIdentityKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function countItems(value) {
+  const meaningful = (item) => item !== undefined && item !== null && String(item).trim() !== "";
+  if (Array.isArray(value)) return value.filter(meaningful).length;
+  return meaningful(value) ? 1 : 0;
+}
+
+// Accepts either a bare regex (`^PRJ-\d+$`) or slash-delimited form with flags (`/^[a-z]+$/i`).
+// `g` and `y` are dropped: they make `test` stateful, and one regex is reused across array entries.
+function compilePattern(source) {
+  const m = String(source).match(/^\/(.+)\/([dgimsuy]*)$/);
+  return m ? new RegExp(m[1], m[2].replace(/[gy]/g, "")) : new RegExp(source);
+}
+
+// `check.<name>: <expr>` cross-field constraints, with the same grammar and semantics as the CLI.
+function parseCheckExpression(source) {
+  const tokens = tokenizeCheckExpression(String(source ?? ""));
+  if (!tokens || tokens.length === 0) return null;
+  let pos = 0;
+  const peek = () => tokens[pos] || {};
+  const take = (op) => (peek().op === op ? tokens[pos++] : null);
+
+  const parseImplies = () => {
+    const left = parseOr();
+    if (!left || !take("implies")) return left;
+    const right = parseImplies();
+    return right && { kind: "implies", left, right };
+  };
+  const parseOr = () => {
+    let left = parseAnd();
+    while (left && (peek().op === "or" || peek().op === "xor")) {
+      const kind = tokens[pos++].op;
+      const right = parseAnd();
+      left = right && { kind, left, right };
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (left && take("and")) {
+      const right = parseUnary();
+      left = right && { kind: "and", left, right };
+    }
+    return left;
+  };
+  const parseUnary = () => {
+    if (take("not")) {
+      const operand = parseUnary();
+      return operand && { kind: "not", operand };
+    }
+    if (take("(")) {
+      const inner = parseImplies();
+      return inner && take(")") ? inner : null;
+    }
+    const left = parseOperand();
+    if (!left) return null;
+    const op = ["==", "!=", ">=", "<=", ">", "<"].includes(peek().op) ? tokens[pos++].op : null;
+    if (!op) return left.kind === "field" ? { kind: "present", field: left.name } : null;
+    const right = parseOperand();
+    return right && { kind: "compare", op, left, right };
+  };
+  const parseOperand = () => {
+    const token = peek();
+    if (token.field !== undefined) {
+      pos += 1;
+      return { kind: "field", name: token.field };
+    }
+    if (token.literal !== undefined) {
+      pos += 1;
+      return { kind: "literal", value: token.literal };
+    }
+    return null;
+  };
+
+  const expr = parseImplies();
+  return expr && pos === tokens.length ? expr : null;
+}
+
+function checkExpressionFields(expr) {
+  if (expr.kind === "present") return [expr.field];
+  if (expr.kind === "field") return [expr.name];
+  if (expr.kind === "literal") return [];
+  return [expr.left, expr.right, expr.operand].filter(Boolean).flatMap(checkExpressionFields);
+}
+
+function tokenizeCheckExpression(source) {
+  const re = /\s*(?:(>=|<=|==|!=|>|<|\(|\))|'([^']*)'|"([^"]*)"|(-?\d+(?:\.\d+)?)(?![\w-])|([A-Za-z_][\w-]*))\s*/y;
+  const keywords = new Set(["and", "or", "xor", "not", "implies"]);
+  const tokens = [];
+  while (re.lastIndex < source.length) {
+    const m = re.exec(source);
+    if (!m) return null;
+    if (m[1]) tokens.push({ op: m[1] });
+    else if (m[5] && keywords.has(m[5].toLowerCase())) tokens.push({ op: m[5].toLowerCase() });
+    else if (m[5]) tokens.push({ field: m[5] });
+    else tokens.push({ literal: m[2] ?? m[3] ?? m[4] });
+  }
+  return tokens;
+}
+
+function evaluateCheckExpression(expr, fm) {
+  switch (expr.kind) {
+    case "implies":
+      return !evaluateCheckExpression(expr.left, fm) || evaluateCheckExpression(expr.right, fm);
+    case "or":
+      return evaluateCheckExpression(expr.left, fm) || evaluateCheckExpression(expr.right, fm);
+    case "xor":
+      return evaluateCheckExpression(expr.left, fm) !== evaluateCheckExpression(expr.right, fm);
+    case "and":
+      return evaluateCheckExpression(expr.left, fm) && evaluateCheckExpression(expr.right, fm);
+    case "not":
+      return !evaluateCheckExpression(expr.operand, fm);
+    case "present":
+      return countItems(fm[expr.field]) > 0;
+    default:
+      return compareCheckOperands(expr, fm);
+  }
+}
+
+function compareCheckOperands({ op, left, right }, fm) {
+  const values = (operand) => {
+    const value = operand.kind === "field" ? fm[operand.name] : operand.value;
+    return (Array.isArray(value) ? value : [value]).filter((item) => countItems(item) > 0);
+  };
+  const a = values(left);
+  const b = values(right);
+  if (op === "==" || op === "!=") {
+    const equal = a.length === 0 || b.length === 0
+      ? a.length === b.length
+      : a.some((x) => b.some((y) => compareCheckValues(x, y) === 0));
+    return op === "==" ? equal : !equal;
+  }
+  if (a.length === 0 || b.length === 0) return true;
+  const holds = (cmp) => (op === ">" ? cmp > 0 : op === ">=" ? cmp >= 0 : op === "<" ? cmp < 0 : cmp <= 0);
+  return a.every((x) => b.every((y) => holds(compareCheckValues(x, y))));
+}
+
+function compareCheckValues(x, y) {
+  const nx = Number(x);
+  const ny = Number(y);
+  if (typeof x !== "boolean" && typeof y !== "boolean" && Number.isFinite(nx) && Number.isFinite(ny)) return nx - ny;
+  const sx = String(x).trim().toLowerCase();
+  const sy = String(y).trim().toLowerCase();
+  return sx < sy ? -1 : sx > sy ? 1 : 0;
 }
 
 function parseLinkPairValue(value) {
@@ -1095,6 +2066,9 @@ function parseFieldDefinition(value) {
     }
     return { kind: "array", defaultDefined: false, defaultValue: [] };
   }
+  if (typeof value === "string" && SCALAR_FIELD_TYPES.has(value.trim().toLowerCase())) {
+    return { kind: value.trim().toLowerCase(), defaultDefined: false, defaultValue: "" };
+  }
   if (typeof value === "string" && value.includes(",")) {
     const clean = value.split(",").map((v) => v.trim()).filter(Boolean);
     return { kind: "string-enum", enumValues: clean, defaultDefined: false, defaultValue: "" };
@@ -1115,13 +2089,101 @@ function fieldDefinitionFromDefault(value) {
   return { kind: "value", defaultDefined: true, defaultValue: cloneValue(value) };
 }
 
-function defaultValueForMissing(def) {
+// `context` is `{ path, settings }` for the note receiving the default; see resolveDefaultValue.
+function defaultValueForMissing(def, context = {}) {
   if (!def) return "";
-  if (def.defaultDefined) return cloneValue(def.defaultValue);
+  const value = def.defaultDefined ? resolveDefaultValue(def.defaultValue, context) : undefined;
+  if (value !== undefined) return value;
   if (def.kind === "array" || def.kind === "array-enum") return [];
   return "";
 }
 
+// Resolves `{{today}}`, `{{now}}`, `{{filename.date}}`, `{{folder}}` and `{{setting.author}}` in a
+// default like the CLI. Returns undefined when a token has no value.
+function resolveDefaultValue(value, context = {}) {
+  const lookup = (name) => defaultTokenValue(name, context);
+  const render = (item) => {
+    if (typeof item !== "string" || !hasTemplatePlaceholder(item)) return cloneValue(item);
+    return renderTemplate(item, lookup) ?? undefined;
+  };
+  if (!Array.isArray(value)) return render(value);
+  return value.map(render).filter((item) => item !== undefined);
+}
+
+function defaultTokenValue(name, { path = "", settings = {} }) {
+  const slash = path.lastIndexOf("/");
+  if (name === "today") return formatLocalDate(new Date());
+  if (name === "now") return formatLocalDateTime(new Date());
+  if (name === "filename.date") return leadingIsoDate(path.slice(slash + 1).replace(/\.md$/i, ""));
+  if (name === "folder") return slash === -1 ? null : path.slice(0, slash);
+  if (name.startsWith("setting.")) return settings?.[name.slice("setting.".length)];
+  return undefined;
+}
+
+function leadingIsoDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  const m = String(value).trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d)/);
+  return m ? buildIsoDate(m[1], m[2], m[3]) : null;
+}
+
+function normalizeDateValue(value) {
+  if (value === null || value === undefined) return null;
+  const m = String(value).trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (!m) return null;
+  return buildIsoDate(m[1], m[2], m[3]);
+}
+
+function normalizeDateTimeValue(value) {
+  if (value === null || value === undefined) return null;
+  const m = String(value)
+    .trim()
+    .match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})[T ](\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!m) return null;
+  const date = buildIsoDate(m[1], m[2], m[3]);
+  if (!date) return null;
+  const [hours, minutes, seconds] = [Number(m[4]), Number(m[5]), m[6] === undefined ? 0 : Number(m[6])];
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  const time = `${String(hours).padStart(2, "0")}:${m[5]}${m[6] === undefined ? "" : `:${m[6]}${m[7] || ""}`}`;
+  return `${date}T${time}${m[8] ? m[8].toUpperCase() : ""}`;
+}
+
+function buildIsoDate(year, month, day) {
+  const y = Number(year);
+  const mo = Number(month);
+  const d = Number(day);
+  const probe = new Date(Date.UTC(y, mo - 1, d));
+  if (probe.getUTCFullYear() !== y || probe.getUTCMonth() !== mo - 1 || probe.getUTCDate() !== d) return null;
+  return `${year}-${String(mo).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+function isUrlValue(value) {
+  return typeof value === "string" && /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value);
+}
+
+// Mirrors the CLI: returns the canonical value for a typed scalar field, or
+// undefined when the value cannot be converted without guessing.
+function coerceTypedValue(kind, value) {
+  if (kind === "number") {
+    if (typeof value === "number") return Number.isFinite(value) ? value : undefined;
+    const v = String(value).trim();
+    return /^-?\d+(\.\d+)?$/.test(v) ? Number(v) : undefined;
+  }
+  if (kind === "boolean") {
+    if (typeof value === "boolean") return value;
+    const parsed = parseOptionalBool(value);
+    return parsed === undefined ? undefined : parsed;
+  }
+  if (kind === "date") return normalizeDateValue(value) ?? undefined;
+  if (kind === "datetime") return normalizeDateTimeValue(value) ?? undefined;
+  if (kind === "url") {
+    const v = String(value).trim();
+    if (isUrlValue(v)) return v;
+    if (/^www\.\S+$/i.test(v)) return `https://${v}`;
+    return undefined;
+  }
+  return value;
+}
+
 function normalizeWikiLinkValue(value) {
   if (value === null || value === undefined) return null;
   const raw = String(value).trim();
@@ -1149,6 +2211,10 @@ function extractLinkTargets(value) {
   return one ? [one] : [];
 }
 
+function normalizeTagValue(value) {
+  return String(value ?? "").trim().replace(/^#/, "").toLowerCase();
+}
+
 function normalizeTitleKey(value) {
   return String(value || "").trim().toLowerCase();
 }
@@ -1164,13 +2230,15 @@ function normalizeTypeValue(value) {
 function typeMatchesOrExtends(noteType, targetType, schemasByType) {
   const wanted = normalizeTypeValue(targetType);
   if (!wanted) return true;
-  let current = normalizeTypeValue(noteType);
+  const queue = [normalizeTypeValue(noteType)];
   const seen = new Set();
-  while (current && !seen.has(current)) {
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || seen.has(current)) continue;
     if (current === wanted) return true;
     seen.add(current);
     const schema = schemasByType?.get?.(current);
-    current = normalizeTypeValue(schema?.extends);
+    for (const parent of schemaParents(schema)) queue.push(normalizeTypeValue(parent));
   }
   return false;
 }
@@ -1178,6 +2246,7 @@ function typeMatchesOrExtends(noteType, targetType, schemasByType) {
 function fieldContainerKind(def, currentValue) {
   if (def && (def.kind === "array" || def.kind === "array-enum")) return "array";
   if (def && (def.kind === "string" || def.kind === "value" || def.kind === "string-enum")) return "scalar";
+  if (def && SCALAR_FIELD_TYPES.has(def.kind)) return "scalar";
   if (Array.isArray(currentValue)) return "array";
   if (typeof currentValue === "string" && currentValue.trim()) return "scalar";
   return "unknown";
@@ -1357,12 +2426,22 @@ module.exports._test = {
   createRunStats,
   parseFrontmatter,
   parseScalar,
+  parseSchemaFolders,
   parsePairValue,
   parseLinkPairValue,
+  compilePattern,
+  dedupeItems,
+  countItems,
+  renderTemplate,
+  renderTitleTemplate,
+  renderNoteTemplate,
+  parseTemplateRef,
   parseOptionalBool,
   parseFieldDefinition,
   fieldDefinitionFromDefault,
   defaultValueForMissing,
+  resolveDefaultValue,
+  coerceTypedValue,
   normalizeWikiLinkValue,
   parseWikiLinkTarget,
   extractLinkTargets,
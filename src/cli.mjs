@@ -5,38 +5,42 @@ import path from 'node:path';
 import os from 'node:os';
 import crypto from 'node:crypto';
 
-const FOLDER_TYPE_MAP = {
-  Dailies: 'daily',
-  Meetings: 'meeting',
-  Projects: 'project',
-  Entities: 'entity',
-  Subjects: 'subject',
-  Sources: 'source',
-  Readwise: 'source',
-  Logs: 'log'
+// Top-level schema keys that configure the schema itself rather than declaring fields.
+const SCHEMA_SETTING_KEYS = ['id', 'folder', 'appliesTo', 'extends', 'purpose', 'prependDateToTitle', 'titleTemplate', 'template', 'notes', 'computeOverwrite', 'additionalFields', 'abstract'];
+// Keys every note may carry whatever its schema's `additionalFields` policy.
+const UNIVERSAL_FIELDS = new Set(['type', 'tags', 'aliases', 'cssclasses', 'schema_notes']);
+const SCALAR_FIELD_TYPES = new Set(['number', 'date', 'datetime', 'boolean', 'url']);
+
+// Per-field schema keys (`<rule>.<field>: <value>`) collected into `schema.fieldRules`.
+const FIELD_RULE_PARSERS = {
+  pattern: parsePatternRule,
+  min: (rawValue, context) => parseCountRule('minItems', rawValue, context),
+  max: (rawValue, context) => parseCountRule('maxItems', rawValue, context),
+  uniqueItems: parseUniqueItemsRule,
+  ref: parseRefRule,
+  requiredIf: parseRequiredIfRule,
+  compute: parseComputeRule,
+  unique: parseUniqueRule,
+  alias: parseAliasRule,
+  describe: parseDescribeRule,
+  example: (rawValue) => (rawValue === null || rawValue === undefined ? null : { example: rawValue })
 };
 
-const LEGACY_TYPE_MAP = {
-  'entity-person': 'person',
-  'entity-body': 'body',
-  'entity-group': 'group',
-  'entity-place': 'place',
-  'entity-country': 'country',
-  'entity-session': 'session',
-  'source-article': 'article',
-  'source-book': 'book',
-  'source-paper': 'paper',
-  'source-report': 'report',
-  location: 'place',
-  note: null,
-  none: null
+// Filters for `{{name|filter}}` template placeholders. A filter returns null when it cannot apply.
+const TEMPLATE_FILTERS = {
+  date: (value) => leadingIsoDate(value),
+  year: (value) => leadingIsoDate(value)?.slice(0, 4) ?? null,
+  month: (value) => leadingIsoDate(value)?.slice(5, 7) ?? null,
+  day: (value) => leadingIsoDate(value)?.slice(8, 10) ?? null,
+  quarter: (value) => {
+    const date = leadingIsoDate(value);
+    return date ? `Q${Math.ceil(Number(date.slice(5, 7)) / 3)}` : null;
+  },
+  lower: (value) => value.toLowerCase(),
+  upper: (value) => value.toUpperCase(),
+  trim: (value) => value.trim()
 };
 
-const LEGACY_SUBTYPE_MAP = {
-  location: 'place'
-};
-const TERMINAL_STATUSES = new Set(['done', 'superseded', 'cancelled']);
-
 const PREFERRED_KEY_ORDER = [
   'type',
   'schema_notes',
@@ -63,7 +67,7 @@ async function main() {
   const args = parseArgs(process.argv.slice(2));
   const command = args._[0] || 'check';
 
-  if (!['check', 'fix', 'init-schemas'].includes(command)) {
+  if (!['check', 'fix', 'init-schemas', 'new'].includes(command)) {
     usage(1);
     return;
   }
@@ -71,6 +75,7 @@ async function main() {
   const vault = expandHome(args.vault || '~/notes');
   const schemasDir = args.schemas ? expandHome(args.schemas) : path.join(vault, 'Schemas');
   const reportDir = args['report-dir'] ? expandHome(args['report-dir']) : path.join(process.cwd(), 'reports');
+  const settings = { author: typeof args.author === 'string' ? args.author.trim() : undefined };
 
   if (command === 'init-schemas') {
     await initSchemas(schemasDir, { force: Boolean(args.force) });
@@ -94,6 +99,25 @@ async function main() {
     process.exit(1);
   }
 
+  if (command === 'new') {
+    const [, type, ...titleParts] = args._;
+    if (!type || titleParts.length === 0) {
+      usage(1);
+      return;
+    }
+    let result;
+    try {
+      result = await createNote({ vault, schemas, type, title: titleParts.join(' '), source: args.source, settings });
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    console.log(`Created ${path.relative(vault, result.file).split(path.sep).join('/')}`);
+    for (const fix of result.fixes) console.log(`  [fix] ${fix}`);
+    for (const violation of result.violations) console.log(`  [violation] ${violation.message}`);
+    return;
+  }
+
   await syncObservabilityBase({ vault, schemas });
   await syncOntologySummary({ vault, schemas });
   const autoNoteMoverSync = await syncAutoNoteMoverConfig({ vault, schemas });
@@ -115,7 +139,7 @@ async function main() {
   };
 
   for (const file of files) {
-    const result = await processFile({ file, vault, schemas, mode, write });
+    const result = await processFile({ file, vault, schemas, mode, write, settings });
     report.files.push(result);
   }
   await applyBidirectionalLinkPass({ vault, schemas, report, mode, write });
@@ -167,9 +191,10 @@ function parseArgs(argv) {
 
 function usage(exitCode = 0) {
   console.log(`Usage:
-  schema check --vault ~/notes [--schemas ~/notes/Schemas]
-  schema fix --vault ~/notes [--dry-run]
+  schema check --vault ~/notes [--schemas ~/notes/Schemas] [--author "Name"]
+  schema fix --vault ~/notes [--dry-run] [--author "Name"]
   schema init-schemas --vault ~/notes
+  schema new <type> <title> --vault ~/notes [--source "[[Note]]"] [--author "Name"]
 `);
   process.exit(exitCode);
 }
@@ -228,7 +253,7 @@ async function syncSchemaTypeKeyConvention(schemasDir) {
       .replace(/^(\s*field\.type)\*:/m, '$1:')
       .replace(/^(\s*type)\*:/m, '$1:')
       .replace(/^(\s*)field\.type:/m, '$1type:')
-      .replace(/^(\s*extends:\s*)(.+)\s*$/gm, (_full, prefix, raw) => {
+      .replace(/^([ \t]*extends:[ \t]*)(\S.*?)[ \t]*$/gm, (_full, prefix, raw) => {
         const normalized = normalizeExtendsValue(raw);
         return `${prefix}${normalized}`;
       });
@@ -249,7 +274,7 @@ async function syncSchemaTypeKeyConvention(schemasDir) {
 function orderSchemaFrontmatter(frontmatter) {
   const out = {};
   const topOrder = ['type', 'purpose', 'folder'];
-  const schemaMetaKeys = new Set(['id', 'type', 'purpose', 'folder', 'extends', 'appliesTo', 'prependDateToTitle', 'notes']);
+  const schemaMetaKeys = new Set(['type', ...SCHEMA_SETTING_KEYS]);
   const inputKeys = new Set(Object.keys(frontmatter));
   for (const key of topOrder) {
     if (Object.prototype.hasOwnProperty.call(frontmatter, key)) {
@@ -257,23 +282,37 @@ function orderSchemaFrontmatter(frontmatter) {
     }
   }
 
+  const scopedPrefixes = [
+    'default.',
+    'pair.',
+    'unset.pair.',
+    'unset.',
+    'optional.',
+    'migrate.rename.',
+    'migrate.values.',
+    'deprecated.',
+    'match.',
+    ...Object.keys(FIELD_RULE_PARSERS).map((rule) => `${rule}.`)
+  ];
   const fieldEntries = [];
-  const defaultEntries = [];
-  const pairEntries = [];
+  const scopedEntries = [];
   const restEntries = [];
+  const sectionEntries = [];
 
   for (const [key, value] of Object.entries(frontmatter)) {
     if (topOrder.includes(key)) continue;
-    if (key.startsWith('field.')) {
-      fieldEntries.push({ key, value, name: normalizeSchemaFieldName(key, 'field.') });
+    // Section order is meaningful, so those keys are never re-sorted.
+    if (key.startsWith('section.')) {
+      sectionEntries.push({ key, value });
       continue;
     }
-    if (key.startsWith('default.')) {
-      defaultEntries.push({ key, value, name: normalizeSchemaFieldName(key, 'default.') });
+    if (key.startsWith('field.')) {
+      fieldEntries.push({ key, value, name: normalizeSchemaFieldName(key, 'field.') });
       continue;
     }
-    if (key.startsWith('pair.')) {
-      pairEntries.push({ key, value, name: normalizeSchemaFieldName(key, 'pair.') });
+    const prefix = scopedPrefixes.find((p) => key.startsWith(p));
+    if (prefix) {
+      scopedEntries.push({ key, value, name: normalizeSchemaFieldName(key, prefix), rank: scopedPrefixes.indexOf(prefix) });
       continue;
     }
     const canonicalFieldKey = canonicalizeImplicitFieldKey(key, schemaMetaKeys);
@@ -290,21 +329,17 @@ function orderSchemaFrontmatter(frontmatter) {
     restEntries.push({ key, value });
   }
 
-  const names = new Set([
-    ...fieldEntries.map((x) => x.name),
-    ...defaultEntries.map((x) => x.name),
-    ...pairEntries.map((x) => x.name)
-  ]);
+  const names = new Set([...fieldEntries.map((x) => x.name), ...scopedEntries.map((x) => x.name)]);
   const orderedNames = [...names].sort((a, b) => a.localeCompare(b));
 
   for (const name of orderedNames) {
     for (const item of fieldEntries.filter((x) => x.name === name).sort((a, b) => a.key.localeCompare(b.key))) {
       out[item.key] = item.value;
     }
-    for (const item of defaultEntries.filter((x) => x.name === name).sort((a, b) => a.key.localeCompare(b.key))) {
-      out[item.key] = item.value;
-    }
-    for (const item of pairEntries.filter((x) => x.name === name).sort((a, b) => a.key.localeCompare(b.key))) {
+    const scoped = scopedEntries
+      .filter((x) => x.name === name)
+      .sort((a, b) => a.rank - b.rank || a.key.localeCompare(b.key));
+    for (const item of scoped) {
       out[item.key] = item.value;
     }
   }
@@ -313,6 +348,10 @@ function orderSchemaFrontmatter(frontmatter) {
     out[item.key] = item.value;
   }
 
+  for (const item of sectionEntries) {
+    out[item.key] = item.value;
+  }
+
   return out;
 }
 
@@ -339,14 +378,22 @@ function normalizeExtendsValue(raw) {
     trimmed = trimmed.slice(1, -1).trim();
   }
 
-  // Collapse accidental single-item list syntax encoded inline.
-  let m = trimmed.match(/^\[\s*\[\[([^\]|#]+)\]\]\s*\]$/);
-  if (m) return `[[${m[1].trim()}]]`;
-
   // Canonical wikilink form.
-  m = trimmed.match(/^\[\[([^\]|#]+)\]\]$/);
+  const m = trimmed.match(/^\[\[([^\]|#]+)\]\]$/);
   if (m) return `[[${m[1].trim()}]]`;
 
+  // Inline lists; a single item collapses to a plain wikilink.
+  const list = trimmed.match(/^\[(.*)\]$/);
+  if (list) {
+    const items = list[1]
+      .split(',')
+      .map((item) => item.trim().replace(/^["']|["']$/g, '').trim())
+      .map((item) => item.match(/^\[\[([^\]|#]+)\]\]$/)?.[1].trim() || item)
+      .filter(Boolean);
+    if (items.length === 1) return `[[${items[0]}]]`;
+    if (items.length > 1) return `[${items.map((item) => `[[${item}]]`).join(', ')}]`;
+  }
+
   // Fallback: bare token -> wikilink.
   return `[[${trimmed}]]`;
 }
@@ -384,6 +431,10 @@ async function syncObservabilityBase({ vault, schemas }) {
   lines.push('                - schema_notes != ""');
 
   for (const schema of typeSchemas) {
+    if (schema.abstract) {
+      lines.push(`            - type == ${yamlString(String(schema.id))}`);
+      continue;
+    }
     const req = [...new Set((schema.required || []).filter((k) => k !== 'type'))];
     if (req.length === 0) continue;
     lines.push('            - and:');
@@ -413,6 +464,7 @@ async function syncObservabilityBase({ vault, schemas }) {
   lines.push('      - tags');
 
   for (const schema of typeSchemas) {
+    if (schema.abstract) continue;
     const req = [...new Set((schema.required || []).filter((k) => k !== 'type'))];
     if (req.length === 0) continue;
 
@@ -468,21 +520,26 @@ async function syncOntologySummary({ vault, schemas }) {
   lines.push('type: note');
   lines.push('---');
   lines.push('# Ontology');
-  lines.push('');
-  lines.push('| Type | Purpose | Inherits From | Required Fields | Typical Folder |');
-  lines.push('|---|---|---|---|---|');
 
   for (const schema of typeSchemas) {
     const typeName = String(schema.id);
     const purpose = schema.purpose ? String(schema.purpose) : derivePurpose(typeName, schema.extends);
-    const inherits = schema.extends ? String(schema.extends) : '-';
-    const required = [...new Set(['type', ...((schema.required || []).filter((k) => k !== 'type'))])];
-    const requiredCell = required.join(', ');
-    const folder = typeof schema.folder === 'string' ? schema.folder : null;
-    const folderCell = folder === '' ? 'Root (`/`)' : folder ? `\`${folder}/\`` : '-';
-    lines.push(
-      `| \`${escapePipes(typeName)}\` | ${escapePipes(purpose)} | ${escapePipes(inherits)} | ${escapePipes(requiredCell)} | ${escapePipes(folderCell)} |`
-    );
+    const parents = schemaParents(schema);
+    const inherits = parents.length > 0 ? parents.map((p) => `\`${p}\``).join(', ') : '-';
+    const folders = Array.isArray(schema.folders) ? schema.folders : [];
+    const folderCell = folders.length === 0 ? '-' : folders.map((f) => (f === '' ? 'Root (`/`)' : `\`${f}/\``)).join(', ');
+    lines.push('');
+    lines.push(`## \`${typeName}\``);
+    lines.push('');
+    lines.push(`${purpose}`);
+    lines.push('');
+    lines.push(`Inherits from: ${inherits}. Typical folder: ${folderCell}.`);
+    lines.push('');
+    lines.push('| Field | Type | Required | Values | Default | Pair | Description | Example |');
+    lines.push('|---|---|---|---|---|---|---|---|');
+    for (const row of ontologyFieldRows(schema)) {
+      lines.push(`| ${row.map((cell) => escapePipes(cell)).join(' | ')} |`);
+    }
   }
 
   lines.push('');
@@ -594,6 +651,33 @@ function normalizeIssueReason(message) {
   const m = String(message || '').trim();
   const missing = m.match(/^Missing required field '([^']+)'/);
   if (missing) return `Missing required: ${missing[1]}`;
+  const invalidType = m.match(/^'([^']+)' should be (\w+), got /);
+  if (invalidType) return `Invalid ${invalidType[2]}: ${invalidType[1]}`;
+  const pattern = m.match(/^'([^']+)' should match pattern /);
+  if (pattern) return `Pattern mismatch: ${pattern[1]}`;
+  const cardinality = m.match(/^'([^']+)' should have at (least|most) /);
+  if (cardinality) return `${cardinality[2] === 'least' ? 'Too few' : 'Too many'} items: ${cardinality[1]}`;
+  const refMismatch = m.match(/^Reference '[^']+' in '([^']+)' has type '[^']*', expected '([^']+)'/);
+  if (refMismatch) return `Wrong reference type: ${refMismatch[1]} (expected ${refMismatch[2]})`;
+  const refUnresolved = m.match(/^Unresolved reference '[^']+' in '([^']+)'/);
+  if (refUnresolved) return `Unresolved reference: ${refUnresolved[1]}`;
+  const refAmbiguous = m.match(/^Ambiguous reference '[^']+' in '([^']+)'/);
+  if (refAmbiguous) return `Ambiguous reference: ${refAmbiguous[1]}`;
+  const duplicate = m.match(/^Duplicate '([^']+)' value '(.*)' \(shared with: /);
+  if (duplicate) return `Duplicate ${duplicate[1]}: ${duplicate[2]}`;
+  const section = m.match(/^Missing required section '## (.+?)'/);
+  if (section) return `Missing section: ${section[1]}`;
+  const emptySection = m.match(/^Empty required section '## (.+?)'/);
+  if (emptySection) return `Empty section: ${emptySection[1]}`;
+  if (m.startsWith('Sections out of order:')) return 'Sections out of order';
+  const undeclared = m.match(/^Undeclared field '([^']+)'/);
+  if (undeclared) return `Undeclared field: ${undeclared[1]}`;
+  const abstractType = m.match(/^Type '([^']+)' is abstract/);
+  if (abstractType) return `Abstract type: ${abstractType[1]}`;
+  const deprecated = m.match(/^Deprecated field '([^']+)'/);
+  if (deprecated) return `Deprecated field: ${deprecated[1]}`;
+  const check = m.match(/^Check '([^']+)' failed/);
+  if (check) return `Check failed: ${check[1]}`;
   if (m.startsWith('Move conflict:')) return 'Move conflict';
   return m;
 }
@@ -640,7 +724,21 @@ function formatLocalDate(date) {
   return `${y}-${m}-${d}`;
 }
 
-function getDesiredDatedBaseName({ schema, frontmatter, currentBaseName, fixes }) {
+function formatLocalDateTime(date) {
+  const h = String(date.getHours()).padStart(2, '0');
+  const min = String(date.getMinutes()).padStart(2, '0');
+  return `${formatLocalDate(date)}T${h}:${min}`;
+}
+
+function getDesiredBaseName({ schema, frontmatter, currentBaseName, fixes }) {
+  if (schema?.titleTemplate) {
+    const stem = path.basename(currentBaseName, '.md');
+    const lookup = (name) => (name === 'filename' ? stem : frontmatter?.[name]);
+    const next = renderTitleTemplate(schema.titleTemplate, lookup, stem);
+    if (!next || next === stem) return currentBaseName;
+    fixes.push(`applied titleTemplate -> '${next}'`);
+    return `${next}.md`;
+  }
   if (!schema || !schema.prependDateToTitle) return currentBaseName;
   const rawDate = frontmatter?.date;
   const date = normalizeDateToken(rawDate);
@@ -663,6 +761,228 @@ function normalizeDateToken(value) {
   return m ? m[1] : null;
 }
 
+function normalizeDateValue(value) {
+  if (value === null || value === undefined) return null;
+  const m = String(value).trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (!m) return null;
+  return buildIsoDate(m[1], m[2], m[3]);
+}
+
+function normalizeDateTimeValue(value) {
+  if (value === null || value === undefined) return null;
+  const m = String(value)
+    .trim()
+    .match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})[T ](\d{1,2}):(\d{2})(?::(\d{2})(\.\d+)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (!m) return null;
+  const date = buildIsoDate(m[1], m[2], m[3]);
+  if (!date) return null;
+  const [hours, minutes, seconds] = [Number(m[4]), Number(m[5]), m[6] === undefined ? 0 : Number(m[6])];
+  if (hours > 23 || minutes > 59 || seconds > 59) return null;
+  const time = `${String(hours).padStart(2, '0')}:${m[5]}${m[6] === undefined ? '' : `:${m[6]}${m[7] || ''}`}`;
+  return `${date}T${time}${m[8] ? m[8].toUpperCase() : ''}`;
+}
+
+function leadingIsoDate(value) {
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+  const m = String(value).trim().match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d)/);
+  return m ? buildIsoDate(m[1], m[2], m[3]) : null;
+}
+
+const TEMPLATE_PLACEHOLDER_RE = /\{\{([^{}]+)\}\}/g;
+
+// `{{name:FORMAT|filter}}`: the optional `:FORMAT` formats a date value (`YYYY`, `MM`, `DD`, `Q`).
+function parseTemplatePlaceholder(inner) {
+  const [head, ...filters] = inner.split('|').map((part) => part.trim());
+  const colon = head.indexOf(':');
+  return {
+    name: colon === -1 ? head : head.slice(0, colon).trim(),
+    format: colon === -1 ? null : head.slice(colon + 1).trim(),
+    filters
+  };
+}
+
+function formatIsoDate(isoDate, format) {
+  if (!isoDate) return null;
+  const [year, month, day] = isoDate.split('-');
+  const parts = { YYYY: year, MM: month, DD: day, Q: String(Math.ceil(Number(month) / 3)) };
+  return format.replace(/YYYY|MM|DD|Q/g, (token) => parts[token]);
+}
+
+// Renders `{{name|filter|...}}` placeholders; `lookup(name)` supplies values. Returns null when
+// any placeholder has no value or a filter cannot apply, so callers leave the target alone.
+function renderTemplate(template, lookup) {
+  let failed = false;
+  const out = String(template).replace(TEMPLATE_PLACEHOLDER_RE, (_, inner) => {
+    const { name, format, filters } = parseTemplatePlaceholder(inner);
+    const raw = lookup(name);
+    let value = Array.isArray(raw) ? raw.filter((v) => v !== null && v !== '').join(', ') : raw;
+    if (value === undefined || value === null || value === '') {
+      failed = true;
+      return '';
+    }
+    value = value instanceof Date ? leadingIsoDate(value) : String(value);
+    if (format) value = formatIsoDate(leadingIsoDate(value), format);
+    if (value === null) {
+      failed = true;
+      return '';
+    }
+    for (const filter of filters) {
+      value = TEMPLATE_FILTERS[filter] ? TEMPLATE_FILTERS[filter](value) : null;
+      if (value === null || value === '') {
+        failed = true;
+        return '';
+      }
+    }
+    return value;
+  });
+  return failed ? null : out;
+}
+
+function hasTemplatePlaceholder(text) {
+  return /\{\{[^{}]+\}\}/.test(String(text || ''));
+}
+
+// The static part of a templated folder: `Meetings/{{date:YYYY}}` -> `Meetings`.
+function folderTemplateBase(folder) {
+  const segments = String(folder || '').split('/');
+  const firstTemplated = segments.findIndex((segment) => hasTemplatePlaceholder(segment));
+  return firstTemplated === -1 ? folder : segments.slice(0, firstTemplated).join('/');
+}
+
+// Folder placeholders read one value per segment: links become their note name and characters
+// that are not allowed in folder names are dropped.
+function folderSegmentValue(value) {
+  const first = Array.isArray(value) ? value.find((v) => v !== null && v !== '') : value;
+  if (first === undefined || first === null || first instanceof Date) return first;
+  const raw = String(first).trim();
+  const name = (parseWikiLinkTarget(raw) || raw).split('/').pop();
+  const clean = name.replace(/[\\/:*?"<>|#^[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+  return /^\.*$/.test(clean) ? '' : clean;
+}
+
+// Renders a `titleTemplate`. `{{title}}` is re-derived from the current name: when the name
+// already matches the template (other placeholders at their current value, or any ISO date for
+// date values), the matched title is reused, so applying the template again changes nothing.
+// Otherwise the whole current name becomes the title. Returns null while a placeholder is empty.
+function renderTitleTemplate(template, lookup, currentStem) {
+  const valueLookup = (name) => folderSegmentValue(lookup(name));
+  const source = String(template);
+  let pattern = '';
+  let titleGroup = false;
+  let last = 0;
+  for (const match of source.matchAll(TEMPLATE_PLACEHOLDER_RE)) {
+    pattern += escapeRegExp(sanitizeTitleText(source.slice(last, match.index)));
+    last = match.index + match[0].length;
+    if (parseTemplatePlaceholder(match[1]).name === 'title') {
+      pattern += titleGroup ? '\\1' : '(.+?)';
+      titleGroup = true;
+      continue;
+    }
+    const value = renderTemplate(match[0], valueLookup);
+    if (value === null) return null;
+    pattern += /^\d{4}-\d{2}-\d{2}$/.test(value) ? '\\d{4}-\\d{2}-\\d{2}' : escapeRegExp(sanitizeTitleText(value));
+  }
+  pattern += escapeRegExp(sanitizeTitleText(source.slice(last)));
+  const existing = titleGroup ? currentStem.match(new RegExp(`^${pattern}$`)) : null;
+  const title = existing ? existing[1] : currentStem;
+  const rendered = renderTemplate(source, (name) => (name === 'title' ? title : valueLookup(name)));
+  const clean = rendered === null ? '' : sanitizeTitleText(rendered).trim();
+  return clean || null;
+}
+
+// Same character rules as the plugin's `sanitizeNoteTitle`, without trimming so literal
+// separators in templates keep their spacing.
+function sanitizeTitleText(text) {
+  return String(text).replace(/[\\/:*?"<>|#^[\]]+/g, ' ').replace(/\s+/g, ' ');
+}
+
+function escapeRegExp(text) {
+  return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function renderFolderPath(folder, lookup) {
+  if (!hasTemplatePlaceholder(folder)) return folder;
+  const rendered = renderTemplate(folder, (name) => folderSegmentValue(lookup(name)));
+  return rendered === null ? folderTemplateBase(folder) : normalizeFolderToken(rendered);
+}
+
+// Where a note of this schema belongs. Templated folders are rendered against the note; when a
+// placeholder has no value the template's static base is used instead.
+function resolveSchemaFolderPlacement(schema, working, relPath) {
+  const dir = path.posix.dirname(relPath);
+  const filename = path.posix.basename(relPath, '.md');
+  const lookup = (name) => (name === 'filename' ? filename : working[name]);
+  const allowed = (schema.folders || []).map((folder) => renderFolderPath(folder, lookup));
+  return {
+    inPlace: isInSchemaFolders(dir === '.' ? '' : dir, allowed),
+    target: typeof schema.folder === 'string' ? renderFolderPath(schema.folder, lookup) : null
+  };
+}
+
+function applyComputedFields({ schema, working, fixes, relPath }) {
+  const filename = path.posix.basename(relPath || '', '.md');
+  const lookup = (name) => (name === 'filename' ? filename : working[name]);
+  for (const [key, rules] of Object.entries(schema.fieldRules || {})) {
+    if (!rules.compute) continue;
+    if (!schema.computeOverwrite && hasMeaningfulRequiredValue(working[key])) continue;
+    const rendered = renderTemplate(rules.compute, lookup);
+    if (rendered === null) continue;
+    const type = schema.properties?.[key]?.type;
+    const coerced = SCALAR_FIELD_TYPES.has(type) ? coerceTypedValue(type, rendered) : undefined;
+    const next = coerced === undefined ? rendered : coerced;
+    if (deepEqual(next, working[key])) continue;
+    working[key] = next;
+    fixes.push(`computed '${key}' = '${rendered}'`);
+  }
+}
+
+function buildIsoDate(year, month, day) {
+  const y = Number(year);
+  const mo = Number(month);
+  const d = Number(day);
+  const probe = new Date(Date.UTC(y, mo - 1, d));
+  if (probe.getUTCFullYear() !== y || probe.getUTCMonth() !== mo - 1 || probe.getUTCDate() !== d) return null;
+  return `${year}-${String(mo).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function isUrlValue(value) {
+  return typeof value === 'string' && /^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value);
+}
+
+// Returns the canonical form of a value for a typed scalar field, or undefined
+// when the value cannot be converted without guessing.
+function coerceTypedValue(type, value) {
+  if (type === 'number') {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+    const v = String(value).trim();
+    return /^-?\d+(\.\d+)?$/.test(v) ? Number(v) : undefined;
+  }
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') return value;
+    if (String(value).trim() === '') return undefined;
+    const parsed = parseBoolLike(value);
+    return parsed === null ? undefined : parsed;
+  }
+  if (type === 'date') return normalizeDateValue(value) ?? undefined;
+  if (type === 'datetime') return normalizeDateTimeValue(value) ?? undefined;
+  if (type === 'url') {
+    const v = String(value).trim();
+    if (isUrlValue(v)) return v;
+    if (/^www\.\S+$/i.test(v)) return `https://${v}`;
+    return undefined;
+  }
+  return value;
+}
+
+function isTypedValue(type, value) {
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  if (type === 'boolean') return typeof value === 'boolean';
+  if (type === 'date') return typeof value === 'string' && normalizeDateValue(value) === value;
+  if (type === 'datetime') return typeof value === 'string' && normalizeDateTimeValue(value) === value;
+  if (type === 'url') return isUrlValue(value);
+  return true;
+}
+
 function yamlString(value) {
   const v = String(value);
   return `"${v.replace(/"/g, '\\"')}"`;
@@ -702,6 +1022,32 @@ function derivePurpose(typeName, parentType) {
   return typeName;
 }
 
+// One ONTOLOGY.md table row per field: `type` first, then fields in schema order.
+function ontologyFieldRows(schema) {
+  const required = new Set(['type', ...(schema.required || [])]);
+  const fields = [...new Set(['type', ...Object.keys(schema.properties || {})])];
+  const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+  return fields.map((field) => {
+    const prop = schema.properties?.[field] || { type: 'string' };
+    const rules = schema.fieldRules?.[field] || {};
+    const pair = schema.pairRulesByField?.[field];
+    let requiredCell = required.has(field) ? 'yes' : '-';
+    if (!required.has(field) && rules.requiredIf) {
+      requiredCell = `if ${rules.requiredIf.field} in ${rules.requiredIf.values.join(', ')}`;
+    }
+    return [
+      `\`${field}\``,
+      prop.type || 'string',
+      requiredCell,
+      Array.isArray(prop.enum) ? prop.enum.join(', ') : '-',
+      prop.default === undefined ? '-' : `\`${formatValue(prop.default)}\``,
+      pair ? `\`${pair.targetType}.${pair.targetField}\`` : '-',
+      rules.description || '-',
+      rules.example === undefined ? '-' : `\`${formatValue(rules.example)}\``
+    ];
+  });
+}
+
 function escapePipes(text) {
   return String(text).replace(/\|/g, '\\|');
 }
@@ -709,11 +1055,14 @@ function escapePipes(text) {
 function computeSchemaSignature(typeSchemas) {
   const normalized = typeSchemas.map((s) => ({
     id: s.id,
-    extends: s.extends || null,
+    extends: schemaParents(s),
     folder: s.folder ?? null,
+    folders: s.folders || [],
     purpose: s.purpose || null,
     required: [...(s.required || [])].sort(),
-    properties: Object.keys(s.properties || {}).sort()
+    properties: s.properties || {},
+    fieldRules: s.fieldRules || {},
+    pairRules: s.pairRulesByField || {}
   }));
   return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex').slice(0, 16);
 }
@@ -753,28 +1102,33 @@ async function syncAutoNoteMoverConfig({ vault, schemas }) {
   }
 
   const generated = [];
-  const archiveRules = [
-    {
-      folder: 'Archive',
-      tag: '',
-      frontmatterProperty: 'status: done',
-      pattern: ''
-    },
-    {
-      folder: 'Archive',
-      tag: '',
-      frontmatterProperty: 'status: superseded',
-      pattern: ''
-    },
-    {
-      folder: 'Archive',
-      tag: '',
-      frontmatterProperty: 'status: cancelled',
-      pattern: ''
+  const archiveRules = [];
+  const archiveFolderByProperty = new Map();
+  for (const schema of [...schemas].sort((a, b) => String(a.id).localeCompare(String(b.id)))) {
+    if (schema.discriminator !== 'type' || schema.abstract) continue;
+    const archive = schema.archive || {};
+    if (!archive.when || archive.folder === false) continue;
+    const folder = archive.folder || 'Archive';
+    for (const value of archive.when.values) {
+      // Auto Note Mover matches one property regardless of type, so the first folder wins.
+      const frontmatterProperty = `${archive.when.field}: ${value}`;
+      const existing = archiveFolderByProperty.get(frontmatterProperty);
+      if (existing !== undefined) {
+        if (existing !== folder) {
+          status.warnings.push(
+            `Schema 'type:${schema.id}' archives '${frontmatterProperty}' to '${folder}', but Auto Note Mover already routes it to '${existing}'`
+          );
+        }
+        continue;
+      }
+      archiveFolderByProperty.set(frontmatterProperty, folder);
+      archiveRules.push({ folder, tag: '', frontmatterProperty, pattern: '' });
     }
-  ];
+  }
+  archiveRules.sort((a, b) => a.frontmatterProperty.localeCompare(b.frontmatterProperty));
+
   for (const schema of schemas) {
-    if (schema.discriminator !== 'type') continue;
+    if (schema.discriminator !== 'type' || schema.abstract) continue;
     const folder = typeof schema.folder === 'string' ? schema.folder : null;
     if (folder === null) continue;
     if (folder === '') {
@@ -784,6 +1138,11 @@ async function syncAutoNoteMoverConfig({ vault, schemas }) {
       continue;
     }
 
+    if (hasTemplatePlaceholder(folder)) {
+      status.warnings.push(`Schema 'type:${schema.id}' uses templated folder '${folder}', which Auto Note Mover cannot target`);
+      continue;
+    }
+
     const moverFolder = folder.replace(/^\/+/, '');
     if (!moverFolder) continue;
 
@@ -859,7 +1218,8 @@ async function loadSchemas(schemasDir) {
         }
       } else {
         schema = parseNativeMarkdownSchema(parsedDoc.frontmatter || {}, parsedDoc.body, {
-          fileName: path.basename(file, '.md')
+          fileName: path.basename(file, '.md'),
+          warnings
         });
       }
 
@@ -886,6 +1246,7 @@ async function loadSchemas(schemasDir) {
   }
 
   const resolved = resolveSchemaInheritance(schemas, warnings);
+  collectTypeMigrations(resolved, warnings);
   return { schemas: resolved, warnings, errors };
 }
 
@@ -895,33 +1256,43 @@ function resolveSchemaInheritance(schemas, warnings) {
     byKey.set(`${schema.discriminator}:${schema.id}`, schema);
   }
 
-  const resolving = new Set();
-  const resolved = new Map();
+  const warn = (message) => {
+    if (!warnings.includes(message)) warnings.push(message);
+  };
 
-  function visit(schema) {
-    const key = `${schema.discriminator}:${schema.id}`;
-    if (resolved.has(key)) return resolved.get(key);
-    if (resolving.has(key)) {
-      warnings.push(`Schema inheritance cycle detected at ${key}`);
-      return schema;
-    }
-
-    resolving.add(key);
-    let out = cloneValue(schema);
-    if (schema.extends) {
-      const parentKey = `${schema.discriminator}:${schema.extends}`;
-      const parent = byKey.get(parentKey);
-      if (!parent) {
-        warnings.push(`Schema ${key} extends missing parent ${parentKey}`);
-      } else {
-        const parentResolved = visit(parent);
-        out = mergeSchema(parentResolved, out);
+  // Ancestors are linearized depth-first, left to right, each once; every schema comes after
+  // all of its parents and the schema itself comes last, so later entries override earlier ones.
+  function linearize(schema) {
+    const order = [];
+    const done = new Set();
+    const onPath = new Set();
+    const walk = (current) => {
+      const key = `${current.discriminator}:${current.id}`;
+      if (done.has(key)) return;
+      if (onPath.has(key)) {
+        warn(`Schema inheritance cycle detected at ${key}`);
+        return;
       }
-    }
+      onPath.add(key);
+      for (const parentId of schemaParents(current)) {
+        const parentKey = `${current.discriminator}:${parentId}`;
+        const parent = byKey.get(parentKey);
+        if (!parent) {
+          warn(`Schema ${key} extends missing parent ${parentKey}`);
+          continue;
+        }
+        walk(parent);
+      }
+      onPath.delete(key);
+      done.add(key);
+      order.push(current);
+    };
+    walk(schema);
+    return order;
+  }
 
-    resolving.delete(key);
-    resolved.set(key, out);
-    return out;
+  function visit(schema) {
+    return linearize(schema).reduce((acc, current) => (acc ? mergeSchema(acc, current) : cloneValue(current)), null);
   }
 
   return schemas.map((s) => {
@@ -929,22 +1300,71 @@ function resolveSchemaInheritance(schemas, warnings) {
     if (out.discriminator === 'type' && (out.folder === null || out.folder === undefined)) {
       out.folder = '';
     }
+    if (!Array.isArray(out.folders) || out.folders.length === 0) {
+      out.folders = typeof out.folder === 'string' ? [out.folder] : [];
+    }
     out.pairRulesByField = out.pairRulesByField || {};
     out.pairRules = Object.values(out.pairRulesByField);
+    out.fieldRules = out.fieldRules || {};
+    // Deprecated fields are no longer added as placeholders or required.
+    for (const field of Object.keys(out.deprecated || {})) {
+      delete out.properties[field];
+      out.required = (out.required || []).filter((name) => name !== field);
+    }
     return out;
   });
 }
 
+function schemaParents(schema) {
+  if (Array.isArray(schema.parents)) return schema.parents;
+  return schema.extends ? [schema.extends] : [];
+}
+
 function mergeSchema(base, child) {
   const merged = cloneValue(child);
-  merged.properties = { ...(base.properties || {}), ...(child.properties || {}) };
-  merged.required = [...new Set([...(base.required || []), ...(child.required || [])])];
-  merged.pairRulesByField = { ...(base.pairRulesByField || {}), ...(child.pairRulesByField || {}) };
+  const inherited = withoutUnsetFields(base, child);
+  merged.properties = { ...(inherited.properties || {}), ...(child.properties || {}) };
+  merged.required = [...new Set([...(inherited.required || []), ...(child.required || [])])];
+  merged.pairRulesByField = { ...(inherited.pairRulesByField || {}), ...(child.pairRulesByField || {}) };
+  merged.fieldRules = mergeFieldRules(inherited.fieldRules, child.fieldRules);
+  merged.sections = mergeSections(base.sections, child.sections);
+  merged.archive = {
+    when: child.archive?.when ?? base.archive?.when,
+    folder: child.archive?.folder ?? base.archive?.folder
+  };
+  merged.migrations = {
+    types: { ...(child.migrations?.types || {}) },
+    renames: { ...(base.migrations?.renames || {}), ...(child.migrations?.renames || {}) },
+    values: { ...(base.migrations?.values || {}), ...(child.migrations?.values || {}) },
+    drop: [...new Set([...(base.migrations?.drop || []), ...(child.migrations?.drop || [])])]
+  };
+  merged.deprecated = { ...(base.deprecated || {}), ...(child.deprecated || {}) };
+  merged.checks = { ...(base.checks || {}), ...(child.checks || {}) };
+  // Keep the unset list so fix can clear blank placeholders left over from the parent.
+  merged.unset = {
+    fields: [...new Set([...(base.unset?.fields || []), ...(child.unset?.fields || [])])].filter(
+      (field) => !merged.properties[field]
+    ),
+    pairs: [...(child.unset?.pairs || [])]
+  };
   if (merged.folder === null || merged.folder === undefined) {
     merged.folder = base.folder ?? null;
+    merged.folders = cloneValue(base.folders || []);
   }
   if (merged.prependDateToTitle === undefined) {
-    merged.prependDateToTitle = Boolean(base.prependDateToTitle);
+    merged.prependDateToTitle = base.prependDateToTitle;
+  }
+  if (merged.computeOverwrite === undefined) {
+    merged.computeOverwrite = base.computeOverwrite;
+  }
+  if (merged.additionalFields === undefined) {
+    merged.additionalFields = base.additionalFields;
+  }
+  if (!merged.titleTemplate) {
+    merged.titleTemplate = base.titleTemplate || null;
+  }
+  if (!merged.template) {
+    merged.template = base.template || null;
   }
   if (!merged.purpose && base.purpose) {
     merged.purpose = base.purpose;
@@ -952,6 +1372,42 @@ function mergeSchema(base, child) {
   return merged;
 }
 
+// Drops what the child removes via `unset.` / `optional.` from the inherited side only, so the
+// child can still redefine a field it unset.
+function withoutUnsetFields(base, child) {
+  const out = cloneValue(base);
+  const fields = child.unset?.fields || [];
+  const pairs = new Set([...fields, ...(child.unset?.pairs || [])]);
+  const optional = new Set([...fields, ...(child.optional || [])]);
+  for (const field of fields) {
+    delete out.properties?.[field];
+    delete out.fieldRules?.[field];
+  }
+  for (const field of pairs) delete out.pairRulesByField?.[field];
+  out.required = (out.required || []).filter((field) => !optional.has(field));
+  return out;
+}
+
+// Inherited sections keep their position; a child redefining a heading updates it in place and
+// new headings follow the inherited ones.
+function mergeSections(base, child) {
+  const merged = cloneValue(base || []);
+  for (const section of child || []) {
+    const idx = merged.findIndex((s) => s.heading.toLowerCase() === section.heading.toLowerCase());
+    if (idx >= 0) merged[idx] = cloneValue(section);
+    else merged.push(cloneValue(section));
+  }
+  return merged;
+}
+
+function mergeFieldRules(base, child) {
+  const merged = cloneValue(base || {});
+  for (const [field, rules] of Object.entries(child || {})) {
+    merged[field] = { ...(merged[field] || {}), ...cloneValue(rules) };
+  }
+  return merged;
+}
+
 function extractFirstSchemaCodeBlock(text) {
   const match = text.match(/```(json|yaml|yml)\n([\s\S]*?)\n```/i);
   if (!match) return null;
@@ -962,28 +1418,40 @@ function extractFirstSchemaCodeBlock(text) {
 }
 
 function parseNativeMarkdownSchema(frontmatter, body, options = {}) {
-  const reserved = new Set([
-    'id',
-    'folder',
-    'appliesTo',
-    'extends',
-    'purpose',
-    'prependDateToTitle',
-    'notes'
-  ]);
-  const schemaFolder = normalizeSchemaFolder(frontmatter.folder ?? frontmatter.appliesTo);
-  const prependDateSetting = parseBoolLike(frontmatter.prependDateToTitle);
+  const reserved = new Set(SCHEMA_SETTING_KEYS);
+  const schemaFolders = parseSchemaFolders(frontmatter.folder ?? frontmatter.appliesTo);
+  // Unset settings stay undefined so they can be inherited.
+  const prependDateSetting = frontmatter.prependDateToTitle === undefined ? null : parseBoolLike(frontmatter.prependDateToTitle);
+  const computeOverwriteSetting = frontmatter.computeOverwrite === undefined ? null : parseBoolLike(frontmatter.computeOverwrite);
   const schema = {
     id: normalizeString(options.fileName) || null,
     discriminator: null,
-    extends: parseSimpleWikiLink(frontmatter.extends),
+    extends: null,
+    parents: parseExtendsList(frontmatter.extends),
     purpose: typeof frontmatter.purpose === 'string' ? frontmatter.purpose.trim() : null,
     prependDateToTitle: prependDateSetting === null ? undefined : prependDateSetting,
-    folder: schemaFolder,
+    titleTemplate: typeof frontmatter.titleTemplate === 'string' && frontmatter.titleTemplate.trim() ? frontmatter.titleTemplate.trim() : null,
+    template: parseTemplateRef(frontmatter.template),
+    computeOverwrite: computeOverwriteSetting === null ? undefined : computeOverwriteSetting,
+    abstract: parseBoolLike(frontmatter.abstract) === true,
+    inferFrom: { tags: [], filename: null },
+    additionalFields: parseAdditionalFieldsPolicy(frontmatter.additionalFields, options.fileName, options.warnings || []),
+    folder: schemaFolders.folder,
+    folders: schemaFolders.folders,
     required: [],
     properties: {},
-    pairRulesByField: {}
+    pairRulesByField: {},
+    fieldRules: {},
+    unset: { fields: [], pairs: [] },
+    optional: [],
+    migrations: { types: {}, renames: {}, values: {}, drop: [] },
+    deprecated: {},
+    checks: {},
+    archive: {},
+    match: {},
+    sections: []
   };
+  schema.extends = schema.parents[0] || null;
   const explicitDefaults = new Map();
 
   for (const [rawKey, rawValue] of Object.entries(frontmatter)) {
@@ -992,6 +1460,85 @@ function parseNativeMarkdownSchema(frontmatter, body, options = {}) {
     const required = rawKey.endsWith('*');
     let key = required ? rawKey.slice(0, -1) : rawKey;
 
+    // `section.<Heading>[*]: [template]` declares `## Heading` body sections in order.
+    if (key.startsWith('section.')) {
+      const heading = key.slice('section.'.length).trim();
+      const template = rawValue === null || rawValue === undefined ? '' : String(rawValue).trim();
+      if (heading) schema.sections.push({ heading, required, template });
+      continue;
+    }
+
+    // `match.<field>: <value>` narrows which notes the schema applies to; see pickBestSchemaByDiscriminator.
+    if (key.startsWith('match.')) {
+      const field = key.slice('match.'.length).trim();
+      if (field && rawValue !== null && rawValue !== undefined && String(rawValue).trim() !== '') {
+        schema.match[field] = String(rawValue).trim();
+      }
+      continue;
+    }
+
+    // `archive.when: status in done,cancelled` moves matching notes to `archive.folder`
+    // (default `/Archive`); `archive.folder: none` opts out of an inherited rule.
+    if (key === 'archive.when') {
+      const condition = parseFieldCondition(rawValue);
+      if (condition) schema.archive.when = condition;
+      else (options.warnings || []).push(`Ignoring invalid archive.when in schema '${schema.id}': '${rawValue}'`);
+      continue;
+    }
+    if (key === 'archive.folder') {
+      const folder = String(rawValue ?? '').trim();
+      schema.archive.folder = /^(none|false)$/i.test(folder) ? false : normalizeFolderToken(folder) || 'Archive';
+      continue;
+    }
+
+    if (key.startsWith('migrate.')) {
+      parseMigrationKey(schema, key, rawValue, options.warnings || []);
+      continue;
+    }
+
+    // `inferFrom.tag: meeting` and `inferFrom.filename: <regex>` classify notes without a type.
+    if (key === 'inferFrom.tag') {
+      const tags = Array.isArray(rawValue) ? rawValue : String(rawValue ?? '').split(',');
+      schema.inferFrom.tags.push(...tags.map(normalizeTagValue).filter(Boolean));
+      continue;
+    }
+    if (key === 'inferFrom.filename') {
+      const rule = parsePatternRule(rawValue, { field: 'inferFrom.filename', schemaId: schema.id, warnings: options.warnings || [] });
+      if (rule) schema.inferFrom.filename = rule.pattern;
+      continue;
+    }
+
+    if (key.startsWith('deprecated.')) {
+      const field = key.slice('deprecated.'.length).trim();
+      if (field) schema.deprecated[field] = parseDeprecationRule(rawValue);
+      continue;
+    }
+
+    if (key.startsWith('check.')) {
+      const name = key.slice('check.'.length).trim();
+      const expr = parseCheckExpression(rawValue);
+      if (name && expr) schema.checks[name] = { source: String(rawValue).trim(), expr };
+      else (options.warnings || []).push(`Ignoring invalid check '${key}' in schema '${schema.id}': '${rawValue}'`);
+      continue;
+    }
+
+    // `unset.<field>` drops an inherited field with its rules, `unset.pair.<field>` only the
+    // inherited pair rule, and `optional.<field>` keeps the field but no longer requires it.
+    if (key.startsWith('unset.') || key.startsWith('optional.')) {
+      if (parseBoolLike(rawValue) !== true) continue;
+      if (key.startsWith('optional.')) {
+        const field = key.slice('optional.'.length).trim();
+        if (field) schema.optional.push(field);
+      } else if (key.startsWith('unset.pair.')) {
+        const field = key.slice('unset.pair.'.length).trim();
+        if (field) schema.unset.pairs.push(field);
+      } else {
+        const field = key.slice('unset.'.length).trim();
+        if (field) schema.unset.fields.push(field);
+      }
+      continue;
+    }
+
     if (key.startsWith('default.')) {
       const defaultKey = key.slice('default.'.length);
       if (defaultKey && !defaultKey.includes('.')) {
@@ -1041,6 +1588,19 @@ function parseNativeMarkdownSchema(frontmatter, body, options = {}) {
       continue;
     }
 
+    const ruleMatch = key.match(/^([A-Za-z]+)\.(.+)$/);
+    if (ruleMatch && Object.prototype.hasOwnProperty.call(FIELD_RULE_PARSERS, ruleMatch[1])) {
+      const field = ruleMatch[2].trim();
+      if (!field) continue;
+      const rule = FIELD_RULE_PARSERS[ruleMatch[1]](rawValue, {
+        field,
+        schemaId: schema.id,
+        warnings: options.warnings || []
+      });
+      if (rule) schema.fieldRules[field] = { ...(schema.fieldRules[field] || {}), ...rule };
+      continue;
+    }
+
     // Prefer namespaced schema keys to avoid polluting normal property values
     // in Obsidian property suggestions.
     if (key.startsWith('field.')) {
@@ -1051,7 +1611,7 @@ function parseNativeMarkdownSchema(frontmatter, body, options = {}) {
     }
     if (!key) continue;
 
-    const prop = propertyFromSchemaValue(rawValue, { allowImplicitDefault: false });
+    const prop = propertyFromSchemaValue(rawValue, { allowImplicitDefault: false, allowTypeKeyword: key !== 'type' });
     schema.properties[key] = prop;
     if (required) schema.required.push(key);
 
@@ -1099,6 +1659,256 @@ function parseNativeMarkdownSchema(frontmatter, body, options = {}) {
   return schema.id ? schema : null;
 }
 
+function parsePatternRule(rawValue, { field, schemaId, warnings }) {
+  if (rawValue === null || rawValue === undefined || String(rawValue).trim() === '') return null;
+  const source = String(rawValue).trim();
+  try {
+    compilePattern(source);
+  } catch (error) {
+    warnings.push(`Ignoring invalid pattern for '${field}' in schema '${schemaId}': ${error.message}`);
+    return null;
+  }
+  return { pattern: source };
+}
+
+function parseCountRule(name, rawValue, { field, schemaId, warnings }) {
+  const n = Number(String(rawValue ?? '').trim());
+  if (String(rawValue ?? '').trim() === '' || !Number.isInteger(n) || n < 0) {
+    warnings.push(`Ignoring invalid ${name} for '${field}' in schema '${schemaId}': '${rawValue}'`);
+    return null;
+  }
+  return { [name]: n };
+}
+
+function parseUniqueItemsRule(rawValue, { field, schemaId, warnings }) {
+  const parsed = typeof rawValue === 'boolean' ? rawValue : parseBoolLike(rawValue);
+  if (parsed === null) {
+    warnings.push(`Ignoring invalid uniqueItems for '${field}' in schema '${schemaId}': '${rawValue}'`);
+    return null;
+  }
+  return { uniqueItems: parsed };
+}
+
+function parseRefRule(rawValue, { field, schemaId, warnings }) {
+  const type = normalizeString(parseSimpleWikiLink(rawValue) || rawValue);
+  if (!/^[a-z0-9_-]+$/.test(type)) {
+    warnings.push(`Ignoring invalid ref type for '${field}' in schema '${schemaId}': '${rawValue}'`);
+    return null;
+  }
+  return { ref: type };
+}
+
+// `unique.<field>: true|vault` compares against every note; `type` only against notes of the
+// declaring schema's type and its subtypes.
+function parseUniqueRule(rawValue, { field, schemaId, warnings }) {
+  const raw = normalizeString(rawValue);
+  const bool = typeof rawValue === 'boolean' ? rawValue : parseBoolLike(rawValue);
+  if (bool === false) return { unique: false };
+  if (bool === true || raw === 'vault') return { unique: { scope: 'vault', type: null } };
+  if (raw === 'type') return { unique: { scope: 'type', type: schemaId } };
+  warnings.push(`Ignoring invalid unique scope for '${field}' in schema '${schemaId}': '${rawValue}'`);
+  return null;
+}
+
+function parseComputeRule(rawValue, { field, schemaId, warnings }) {
+  const template = typeof rawValue === 'string' ? rawValue.trim() : '';
+  const unknown = [...template.matchAll(TEMPLATE_PLACEHOLDER_RE)]
+    .flatMap((m) => parseTemplatePlaceholder(m[1]).filters)
+    .filter((name) => !Object.prototype.hasOwnProperty.call(TEMPLATE_FILTERS, name));
+  if (!template || unknown.length > 0) {
+    warnings.push(`Ignoring invalid compute template for '${field}' in schema '${schemaId}': '${rawValue}'`);
+    return null;
+  }
+  return { compute: template };
+}
+
+// `requiredIf.<field>: <otherField>=<value>[,<value>]`
+function parseRequiredIfRule(rawValue, { field, schemaId, warnings }) {
+  const condition = parseFieldCondition(rawValue);
+  if (!condition) {
+    warnings.push(`Ignoring invalid requiredIf for '${field}' in schema '${schemaId}': '${rawValue}'`);
+    return null;
+  }
+  return { requiredIf: condition };
+}
+
+// `describe.<field>: <text>` documents a field for ONTOLOGY.md and the plugin.
+function parseDescribeRule(rawValue) {
+  const text = String(rawValue ?? '').trim();
+  return text ? { description: text } : null;
+}
+
+// `<field>=<value>[,<value>]` or `<field> in <value>[,<value>]`.
+function parseFieldCondition(rawValue) {
+  const m = String(rawValue ?? '').match(/^\s*([^=\s]+)\s*(?:=|\s+in\s+)(.*)$/);
+  const values = m ? m[2].split(',').map((v) => v.trim()).filter(Boolean) : [];
+  return values.length > 0 ? { field: m[1], values } : null;
+}
+
+function conditionHolds(condition, working) {
+  const wanted = new Set(condition.values.map((v) => v.toLowerCase()));
+  const actual = Array.isArray(working[condition.field]) ? working[condition.field] : [working[condition.field]];
+  return actual.some((v) => v !== undefined && v !== null && wanted.has(String(v).trim().toLowerCase()));
+}
+
+// Returns the archive folder for a note matching its schema's `archive.when`, otherwise null.
+function archiveFolderFor(schema, working) {
+  const archive = schema?.archive || {};
+  if (!archive.when || archive.folder === false || !conditionHolds(archive.when, working)) return null;
+  return archive.folder || 'Archive';
+}
+
+function describeRequiredIf(condition) {
+  return `${condition.field}=${condition.values.join(',')}`;
+}
+
+// Accepts either a bare regex (`^PRJ-\d+$`) or slash-delimited form with flags (`/^[a-z]+$/i`).
+// `g` and `y` are dropped: they make `test` stateful, and one regex is reused across array entries.
+function compilePattern(source) {
+  const m = String(source).match(/^\/(.+)\/([dgimsuy]*)$/);
+  return m ? new RegExp(m[1], m[2].replace(/[gy]/g, '')) : new RegExp(source);
+}
+
+// `check.<name>: <expr>` relates fields of one note, e.g. `end >= start`,
+// `completed implies status == 'done'` or `url xor doi`. Operands are field names, quoted
+// strings or numbers; a bare field holds when it has a value. Returns the parsed expression
+// or null when the text does not parse.
+function parseCheckExpression(source) {
+  const tokens = tokenizeCheckExpression(String(source ?? ''));
+  if (!tokens || tokens.length === 0) return null;
+  let pos = 0;
+  const peek = () => tokens[pos] || {};
+  const take = (op) => (peek().op === op ? tokens[pos++] : null);
+
+  const parseImplies = () => {
+    const left = parseOr();
+    if (!left || !take('implies')) return left;
+    const right = parseImplies();
+    return right && { kind: 'implies', left, right };
+  };
+  const parseOr = () => {
+    let left = parseAnd();
+    while (left && (peek().op === 'or' || peek().op === 'xor')) {
+      const kind = tokens[pos++].op;
+      const right = parseAnd();
+      left = right && { kind, left, right };
+    }
+    return left;
+  };
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (left && take('and')) {
+      const right = parseUnary();
+      left = right && { kind: 'and', left, right };
+    }
+    return left;
+  };
+  const parseUnary = () => {
+    if (take('not')) {
+      const operand = parseUnary();
+      return operand && { kind: 'not', operand };
+    }
+    if (take('(')) {
+      const inner = parseImplies();
+      return inner && take(')') ? inner : null;
+    }
+    const left = parseOperand();
+    if (!left) return null;
+    const op = ['==', '!=', '>=', '<=', '>', '<'].includes(peek().op) ? tokens[pos++].op : null;
+    if (!op) return left.kind === 'field' ? { kind: 'present', field: left.name } : null;
+    const right = parseOperand();
+    return right && { kind: 'compare', op, left, right };
+  };
+  const parseOperand = () => {
+    const token = peek();
+    if (token.field !== undefined) {
+      pos += 1;
+      return { kind: 'field', name: token.field };
+    }
+    if (token.literal !== undefined) {
+      pos += 1;
+      return { kind: 'literal', value: token.literal };
+    }
+    return null;
+  };
+
+  const expr = parseImplies();
+  return expr && pos === tokens.length ? expr : null;
+}
+
+// Field names a check reads, so `additionalFields` keeps them.
+function checkExpressionFields(expr) {
+  if (expr.kind === 'present') return [expr.field];
+  if (expr.kind === 'field') return [expr.name];
+  if (expr.kind === 'literal') return [];
+  return [expr.left, expr.right, expr.operand].filter(Boolean).flatMap(checkExpressionFields);
+}
+
+function tokenizeCheckExpression(source) {
+  const re = /\s*(?:(>=|<=|==|!=|>|<|\(|\))|'([^']*)'|"([^"]*)"|(-?\d+(?:\.\d+)?)(?![\w-])|([A-Za-z_][\w-]*))\s*/y;
+  const keywords = new Set(['and', 'or', 'xor', 'not', 'implies']);
+  const tokens = [];
+  while (re.lastIndex < source.length) {
+    const m = re.exec(source);
+    if (!m) return null;
+    if (m[1]) tokens.push({ op: m[1] });
+    else if (m[5] && keywords.has(m[5].toLowerCase())) tokens.push({ op: m[5].toLowerCase() });
+    else if (m[5]) tokens.push({ field: m[5] });
+    else tokens.push({ literal: m[2] ?? m[3] ?? m[4] });
+  }
+  return tokens;
+}
+
+function evaluateCheckExpression(expr, working) {
+  switch (expr.kind) {
+    case 'implies':
+      return !evaluateCheckExpression(expr.left, working) || evaluateCheckExpression(expr.right, working);
+    case 'or':
+      return evaluateCheckExpression(expr.left, working) || evaluateCheckExpression(expr.right, working);
+    case 'xor':
+      return evaluateCheckExpression(expr.left, working) !== evaluateCheckExpression(expr.right, working);
+    case 'and':
+      return evaluateCheckExpression(expr.left, working) && evaluateCheckExpression(expr.right, working);
+    case 'not':
+      return !evaluateCheckExpression(expr.operand, working);
+    case 'present':
+      return hasMeaningfulRequiredValue(working[expr.field]);
+    default:
+      return compareCheckOperands(expr, working);
+  }
+}
+
+// `==` holds when any entry matches (blank equals blank); ordering holds vacuously when either
+// side is blank, so `end >= start` only fires once both are filled in.
+function compareCheckOperands({ op, left, right }, working) {
+  const values = (operand) => {
+    const value = operand.kind === 'field' ? working[operand.name] : operand.value;
+    return (Array.isArray(value) ? value : [value]).filter(hasMeaningfulRequiredValue);
+  };
+  const a = values(left);
+  const b = values(right);
+  if (op === '==' || op === '!=') {
+    const equal = a.length === 0 || b.length === 0
+      ? a.length === b.length
+      : a.some((x) => b.some((y) => compareCheckValues(x, y) === 0));
+    return op === '==' ? equal : !equal;
+  }
+  if (a.length === 0 || b.length === 0) return true;
+  const holds = (cmp) => (op === '>' ? cmp > 0 : op === '>=' ? cmp >= 0 : op === '<' ? cmp < 0 : cmp <= 0);
+  return a.every((x) => b.every((y) => holds(compareCheckValues(x, y))));
+}
+
+// Numbers compare numerically; everything else compares as case-insensitive text, which also
+// orders ISO dates.
+function compareCheckValues(x, y) {
+  const nx = Number(x);
+  const ny = Number(y);
+  if (typeof x !== 'boolean' && typeof y !== 'boolean' && Number.isFinite(nx) && Number.isFinite(ny)) return nx - ny;
+  const sx = String(x).trim().toLowerCase();
+  const sy = String(y).trim().toLowerCase();
+  return sx < sy ? -1 : sx > sy ? 1 : 0;
+}
+
 function parseLinkPairValue(rawValue) {
   if (typeof rawValue !== 'string') return null;
   const m = rawValue.trim().match(/^([A-Za-z0-9_-]+)\s*<->\s*([A-Za-z0-9_-]+)$/);
@@ -1131,6 +1941,208 @@ function parseSimpleWikiLink(value) {
   return m[1].trim() || null;
 }
 
+// `extends` takes one wikilink or a list of them: `[[entity]]`, `[[[entity]], [[dated]]]`.
+function parseExtendsList(value) {
+  const parents = [];
+  for (const item of Array.isArray(value) ? value : [value]) {
+    if (typeof item !== 'string') continue;
+    for (const m of item.matchAll(/\[\[([^\]|#]+)\]\]/g)) {
+      const id = normalizeString(m[1]);
+      if (id && !parents.includes(id)) parents.push(id);
+    }
+  }
+  return parents;
+}
+
+// Schema-declared migrations for old note data:
+//   migrate.type.<legacy>: <type>      rewrites a legacy `type` value (applies vault-wide)
+//   migrate.rename.<old>: <new>        moves a field; an existing value under <new> wins
+//   migrate.values.<field>: old=new    rewrites stored values, entry by entry for arrays
+//   migrate.drop: [field, ...]         deletes obsolete fields
+function parseMigrationKey(schema, key, rawValue, warnings) {
+  const migrations = schema.migrations;
+  const m = key.match(/^migrate\.(type|rename|values)\.(.+)$/);
+  if (key === 'migrate.drop') {
+    const fields = (Array.isArray(rawValue) ? rawValue : String(rawValue ?? '').split(','))
+      .map((field) => String(field ?? '').trim())
+      .filter(Boolean);
+    migrations.drop.push(...fields);
+  } else if (m && m[1] === 'type') {
+    const target = normalizeString(parseSimpleWikiLink(rawValue) || rawValue);
+    if (target) migrations.types[normalizeString(m[2])] = target;
+    else warnings.push(`Ignoring empty migrate.type.${m[2]} in schema '${schema.id}'`);
+  } else if (m && m[1] === 'rename') {
+    const target = String(rawValue ?? '').trim();
+    if (target) migrations.renames[m[2].trim()] = target;
+    else warnings.push(`Ignoring empty migrate.rename.${m[2]} in schema '${schema.id}'`);
+  } else if (m && m[1] === 'values') {
+    const rule = parseAliasRule(rawValue, { field: m[2].trim(), schemaId: schema.id, warnings });
+    if (rule) migrations.values[m[2].trim()] = rule.alias;
+  } else {
+    warnings.push(`Ignoring unknown migration key '${key}' in schema '${schema.id}'`);
+  }
+}
+
+// `migrate.type.*` keys are collected from every schema, since legacy types match no schema.
+function collectTypeMigrations(schemas, warnings = null) {
+  const out = new Map();
+  for (const schema of schemas) {
+    for (const [legacy, target] of Object.entries(schema.migrations?.types || {})) {
+      if (out.has(legacy) && out.get(legacy) !== target) {
+        warnings?.push(`Conflicting migrate.type.${legacy}: '${out.get(legacy)}' vs '${target}' (schema '${schema.id}')`);
+        continue;
+      }
+      out.set(legacy, target);
+    }
+  }
+  return out;
+}
+
+function applyFieldMigrations({ schema, working, fixes }) {
+  const migrations = schema.migrations || {};
+  for (const [from, to] of Object.entries(migrations.renames || {})) {
+    if (working[from] === undefined) continue;
+    if (working[to] === undefined) {
+      working[to] = working[from];
+      fixes.push(`migrated '${from}' -> '${to}'`);
+    } else {
+      fixes.push(`removed '${from}' ('${to}' already set)`);
+    }
+    delete working[from];
+  }
+  for (const [field, map] of Object.entries(migrations.values || {})) {
+    const migrate = (value) => {
+      const lowered = typeof value === 'string' ? value.trim().toLowerCase() : null;
+      if (lowered === null || !Object.prototype.hasOwnProperty.call(map, lowered)) return value;
+      fixes.push(`migrated '${field}' value '${value}' -> '${map[lowered]}'`);
+      return map[lowered];
+    };
+    if (Array.isArray(working[field])) working[field] = working[field].map(migrate);
+    else if (working[field] !== undefined) working[field] = migrate(working[field]);
+  }
+  for (const field of migrations.drop || []) {
+    if (working[field] === undefined) continue;
+    delete working[field];
+    fixes.push(`removed deprecated '${field}'`);
+  }
+}
+
+// `additionalFields: false | warn | remove`; unset (or `true`) allows any key.
+function parseAdditionalFieldsPolicy(rawValue, schemaId, warnings) {
+  if (rawValue === undefined || rawValue === null) return undefined;
+  const text = String(rawValue).trim().toLowerCase();
+  if (text === 'warn' || text === 'remove') return text;
+  const bool = parseBoolLike(rawValue);
+  if (bool !== null) return bool;
+  warnings.push(`Ignoring invalid additionalFields in schema '${schemaId}': '${rawValue}'`);
+  return undefined;
+}
+
+function declaredSchemaFields(schema) {
+  return new Set([
+    ...UNIVERSAL_FIELDS,
+    ...Object.keys(schema.properties || {}),
+    ...Object.keys(schema.fieldRules || {}),
+    ...Object.keys(schema.pairRulesByField || {}),
+    ...Object.keys(schema.match || {}),
+    ...Object.keys(schema.deprecated || {}),
+    ...Object.values(schema.fieldRules || {}).flatMap((rules) => (rules.requiredIf ? [rules.requiredIf.field] : [])),
+    ...(schema.archive?.when ? [schema.archive.when.field] : []),
+    ...Object.values(schema.checks || {}).flatMap((check) => checkExpressionFields(check.expr))
+  ]);
+}
+
+// `false` reports undeclared keys as violations, `warn` flags them for review, and `remove`
+// deletes them in fix (check reports what would be removed).
+function applyAdditionalFieldsPolicy({ schema, working, fixes, ambiguous, violations, mode }) {
+  const policy = schema.additionalFields;
+  if (policy === undefined || policy === true) return;
+  const declared = declaredSchemaFields(schema);
+  for (const field of Object.keys(working)) {
+    if (declared.has(field)) continue;
+    if (policy === 'warn') {
+      ambiguous.push(`Undeclared field '${field}'`);
+    } else if (policy === 'remove' && mode === 'fix') {
+      delete working[field];
+      fixes.push(`removed undeclared '${field}'`);
+    } else {
+      violations.push({ rule: 'additionalFields', field, message: `Undeclared field '${field}' (additionalFields: ${policy})` });
+    }
+  }
+}
+
+// `deprecated.<field>: drop` removes the field in fix, a field name moves its value there, and
+// any other text is a reason that is only reported.
+function parseDeprecationRule(rawValue) {
+  const text = String(rawValue ?? '').trim();
+  if (/^drop$/i.test(text)) return { action: 'drop' };
+  if (/^[A-Za-z_][\w-]*$/.test(text)) return { action: 'move', to: text };
+  return { action: 'warn', reason: text || null };
+}
+
+// `check` reports every deprecated field still present; `fix` moves or drops it, keeping the old
+// field only when its replacement already holds a different value.
+function applyDeprecations({ schema, working, fixes, violations, mode }) {
+  for (const [field, rule] of Object.entries(schema.deprecated || {})) {
+    if (working[field] === undefined) continue;
+    const report = (detail) => violations.push({ rule: 'deprecated', field, message: `Deprecated field '${field}': ${detail}` });
+    if (rule.action === 'warn') {
+      report(rule.reason || 'no longer used');
+      continue;
+    }
+    if (mode !== 'fix') {
+      report(rule.action === 'move' ? `use '${rule.to}'` : 'will be removed');
+      continue;
+    }
+    if (rule.action === 'move' && hasMeaningfulRequiredValue(working[field])) {
+      if (!hasMeaningfulRequiredValue(working[rule.to])) {
+        working[rule.to] = working[field];
+        fixes.push(`moved deprecated '${field}' -> '${rule.to}'`);
+      } else if (!deepEqual(working[rule.to], working[field])) {
+        report(`'${rule.to}' already holds a different value`);
+        continue;
+      } else {
+        fixes.push(`removed deprecated '${field}' ('${rule.to}' already set)`);
+      }
+    } else {
+      fixes.push(`removed deprecated '${field}'`);
+    }
+    delete working[field];
+  }
+}
+
+// `alias.<field>: wip=active, in progress=active` maps synonyms (case-insensitive) to
+// canonical values; a YAML list of `synonym=value` entries works too.
+function parseAliasRule(rawValue, { field, schemaId, warnings }) {
+  const entries = (Array.isArray(rawValue) ? rawValue : String(rawValue ?? '').split(','))
+    .map((entry) => String(entry ?? '').trim())
+    .filter(Boolean);
+  const alias = {};
+  for (const entry of entries) {
+    const m = entry.match(/^(.+?)\s*=\s*(.+)$/);
+    if (!m) {
+      warnings.push(`Ignoring invalid value mapping '${entry}' for '${field}' in schema '${schemaId}'`);
+      continue;
+    }
+    alias[m[1].trim().toLowerCase()] = parseScalar(m[2].trim());
+  }
+  return Object.keys(alias).length > 0 ? { alias } : null;
+}
+
+// Resolves `alias.<field>` synonyms first, then matches enum entries case-insensitively.
+function canonicalEnumValue(value, prop, aliases) {
+  if (typeof value !== 'string') return { value, aliased: false };
+  const lowered = value.trim().toLowerCase();
+  const aliased = Boolean(aliases && Object.prototype.hasOwnProperty.call(aliases, lowered));
+  const candidate = aliased ? aliases[lowered] : value;
+  const matched = (prop.enum || []).find((entry) => String(entry).toLowerCase() === String(candidate).toLowerCase());
+  return { value: matched !== undefined ? matched : candidate, aliased };
+}
+
+function describeEnumFix(key, from, next) {
+  return next.aliased ? `rewrote alias '${from}' -> '${next.value}' for '${key}'` : `normalized enum case for '${key}'`;
+}
+
 function parseBoolLike(value) {
   const v = String(value || '').trim().toLowerCase();
   if (['true', 'yes', 'y', '1'].includes(v)) return true;
@@ -1152,6 +2164,10 @@ function propertyFromSchemaValue(rawValue, options = {}) {
 
   if (typeof rawValue === 'string') {
     const trimmed = rawValue.trim();
+    // Explicit scalar type keywords, e.g. `field.due: date`.
+    if (options.allowTypeKeyword && SCALAR_FIELD_TYPES.has(trimmed.toLowerCase())) {
+      return { type: trimmed.toLowerCase() };
+    }
     if (trimmed.includes(',')) {
       const parts = trimmed
         .split(',')
@@ -1194,31 +2210,52 @@ function inferPrimitiveType(value) {
   return 'string';
 }
 
-function normalizeSchemaFolder(value) {
-  if (Array.isArray(value)) {
-    if (value.length === 0) return null;
-    const first = normalizeFolderToken(value[0]);
-    return first === '' ? '' : first || null;
-  }
-  if (typeof value === 'string') {
-    const one = normalizeFolderToken(value);
-    return one === '' ? '' : one || null;
-  }
-  if (value && typeof value === 'object' && Array.isArray(value.folders)) {
-    if (value.folders.length === 0) return null;
-    const first = normalizeFolderToken(value.folders[0]);
-    return first === '' ? '' : first || null;
+// `folder` accepts one path or a list of paths (`[/People, /People/External]`). The entry marked
+// with a trailing `*` is the default move target; otherwise the first entry is.
+function parseSchemaFolders(value) {
+  let entries = [];
+  if (Array.isArray(value)) entries = value;
+  else if (typeof value === 'string') entries = [value];
+  else if (value && typeof value === 'object' && Array.isArray(value.folders)) entries = value.folders;
+
+  const folders = [];
+  let folder = null;
+  for (const entry of entries) {
+    if (entry === null || entry === undefined) continue;
+    const raw = String(entry).trim();
+    const isDefault = raw.endsWith('*');
+    const token = normalizeFolderToken(isDefault ? raw.slice(0, -1) : raw);
+    if (!folders.includes(token)) folders.push(token);
+    if (isDefault && folder === null) folder = token;
   }
-  return null;
+  if (folders.length === 0) return { folder: null, folders: [] };
+  if (folder === null) folder = folders[0];
+  return { folder, folders: [folder, ...folders.filter((f) => f !== folder)] };
 }
 
 function normalizeFolderToken(value) {
   if (value === null || value === undefined) return '';
-  let token = String(value).trim();
-  if (!token) return '';
-  token = token.replace(/^\/+/, '');
-  token = token.split('/')[0];
-  return token;
+  return String(value)
+    .split('/')
+    .map((segment) => segment.trim())
+    .filter(Boolean)
+    .join('/');
+}
+
+// The root folder only matches notes directly at the vault root; any other folder also
+// covers its subfolders.
+function isInSchemaFolders(dir, folders) {
+  return (folders || []).some((folder) => (folder === '' ? dir === '' : dir === folder || dir.startsWith(`${folder}/`)));
+}
+
+// Templated folders match by their static base.
+function matchingFolderDepth(dir, folders) {
+  let best = -1;
+  for (const folder of (folders || []).map(folderTemplateBase)) {
+    if (!isInSchemaFolders(dir, [folder])) continue;
+    best = Math.max(best, folder === '' ? 0 : folder.split('/').length);
+  }
+  return best;
 }
 
 function parseSimpleYaml(text) {
@@ -1302,6 +2339,67 @@ function sanitizeYamlLists(obj) {
   }
 }
 
+// `template: [[Templates/meeting]]` (or a plain vault path) names the note whose body seeds new notes.
+function parseTemplateRef(value) {
+  if (typeof value !== 'string') return null;
+  const ref = parseWikiLinkTarget(value.trim()) || value.trim();
+  return ref ? ref.replace(/\.md$/i, '') : null;
+}
+
+// Fills the `{{title}}`, `{{date}}` and `{{source}}` placeholders of a note template; any other
+// placeholder is left for the user's own template tooling.
+function renderNoteTemplate(text, values) {
+  return String(text).replace(/\{\{\s*(title|date|source)\s*\}\}/g, (_full, name) => values[name] ?? '');
+}
+
+// Looks the template up by vault path first, then by name inside `Templates/`.
+async function readNoteTemplate(vault, ref) {
+  for (const candidate of [`${ref}.md`, `Templates/${path.posix.basename(ref)}.md`]) {
+    try {
+      return await fs.readFile(path.join(vault, candidate), 'utf8');
+    } catch {
+      // Try the next location.
+    }
+  }
+  return null;
+}
+
+// Creates `<title>.md` with the schema's template body, then runs the normal fix pass on it so it
+// picks up defaults, computed fields, folder placement and renames.
+async function createNote({ vault, schemas, type, title, source, settings }) {
+  const schema = buildTypeSchemaIndex(schemas).get(normalizeString(type));
+  if (!schema) throw new Error(`Unknown schema type: ${type}`);
+  if (schema.abstract) throw new Error(`Type '${schema.id}' is abstract; use ${describeConcreteSubtypes(schema, schemas)}`);
+  const cleanTitle = sanitizeTitleText(title).trim();
+  if (!cleanTitle) throw new Error(`Invalid title for type ${type}`);
+
+  let body = '';
+  if (schema.template) {
+    const templateText = await readNoteTemplate(vault, schema.template);
+    if (templateText === null) throw new Error(`Template '${schema.template}' for type ${type} not found`);
+    const sourceRef = typeof source === 'string' ? source.trim() : '';
+    body = renderNoteTemplate(parseMarkdownWithFrontmatter(templateText).body, {
+      title: cleanTitle,
+      date: formatLocalDate(new Date()),
+      source: sourceRef ? normalizeWikiLinkValue(sourceRef) : ''
+    });
+  }
+
+  // Like the plugin's inline expansion, a title is only used once vault-wide so `[[Title]]` stays unambiguous.
+  const wanted = normalizeTitleKey(cleanTitle);
+  const existing = (await listMarkdownFiles(vault)).find((other) => normalizeTitleKey(path.basename(other, '.md')) === wanted);
+  if (existing) {
+    throw new Error(`A note named '${cleanTitle}' already exists: '${path.relative(vault, existing).split(path.sep).join('/')}'`);
+  }
+
+  const folder = typeof schema.folder === 'string' ? folderTemplateBase(schema.folder) : '';
+  const relPath = folder ? `${folder}/${cleanTitle}.md` : `${cleanTitle}.md`;
+  const file = path.join(vault, relPath);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, serializeMarkdown(body, { type: schema.id }, true), { encoding: 'utf8', flag: 'wx' });
+  return processFile({ file, vault, schemas, mode: 'fix', write: true, settings });
+}
+
 async function listMarkdownFiles(rootDir) {
   const out = [];
 
@@ -1330,7 +2428,7 @@ async function listMarkdownFiles(rootDir) {
   return out;
 }
 
-async function processFile({ file, vault, schemas, mode, write }) {
+async function processFile({ file, vault, schemas, mode, write, settings }) {
   const raw = await fs.readFile(file, 'utf8');
   const parsed = parseMarkdownWithFrontmatter(raw);
   const relPath = path.relative(vault, file).split(path.sep).join('/');
@@ -1342,29 +2440,37 @@ async function processFile({ file, vault, schemas, mode, write }) {
   const fixes = [];
   const ambiguous = [];
 
-  if (working.fix_notes !== undefined) {
-    if (working.schema_notes === undefined) {
-      working.schema_notes = working.fix_notes;
-      fixes.push(`migrated 'fix_notes' -> 'schema_notes'`);
-    }
-    delete working.fix_notes;
-  }
-  if (working.needs_review !== undefined) {
-    delete working.needs_review;
-    fixes.push(`removed deprecated 'needs_review'`);
-  }
-
-  applyBroadAutofix({ relPath, filePath: file, working, fixes });
+  applyBroadAutofix({ working, fixes, typeMigrations: collectTypeMigrations(schemas) });
+  const inferredType = inferNoteType({ relPath, working, schemas, fixes, ambiguous });
+  // Notes whose type cannot be determined are collected at the vault root.
+  const untyped = !hadTypeAtStart && !inferredType;
 
   const matchInfo = pickSchemasForFile({ relPath, working, schemas });
   const typeSchema = matchInfo?.typeSchema || null;
   const appliedSchemas = [typeSchema].filter(Boolean);
   const violations = [];
+  let body = parsed.body;
+
+  if (typeSchema?.abstract) {
+    violations.push({
+      rule: 'type/abstract',
+      field: 'type',
+      message: `Type '${typeSchema.id}' is abstract; use ${describeConcreteSubtypes(typeSchema, schemas)}`
+    });
+  }
 
   if (appliedSchemas.length > 0) {
     for (const schema of appliedSchemas) {
-      applySchemaAutofix({ schema, working, fixes, ambiguous, relPath });
+      // `migrate.*` runs before any other fix, so deprecations see the migrated field names.
+      applyFieldMigrations({ schema, working, fixes });
+      applyDeprecations({ schema, working, fixes, violations, mode });
+      applySchemaAutofix({ schema, working, fixes, ambiguous, relPath, settings });
+      applyAdditionalFieldsPolicy({ schema, working, fixes, ambiguous, violations, mode });
       validateAgainstSchema({ schema, working, relPath, violations });
+      // `check` reports the body as written; `fix` reports what is left after adding sections.
+      const fixedBody = applySectionAutofix({ schema, body, fixes });
+      validateSections({ schema, body: mode === 'fix' ? fixedBody : body, original: body, violations });
+      body = fixedBody;
     }
   } else {
     violations.push({
@@ -1380,9 +2486,9 @@ async function processFile({ file, vault, schemas, mode, write }) {
     fixes.push(`cleared stale 'schema_notes'`);
   }
 
-  const changed = !deepEqual(working, parsed.frontmatter || {});
+  const changed = !deepEqual(working, parsed.frontmatter || {}) || body !== parsed.body;
   let movedTo = null;
-  const desiredBaseName = getDesiredDatedBaseName({
+  const desiredBaseName = getDesiredBaseName({
     schema: typeSchema,
     frontmatter: working,
     currentBaseName: path.basename(file),
@@ -1390,20 +2496,15 @@ async function processFile({ file, vault, schemas, mode, write }) {
   });
   const currentDirRel = dir === '.' ? '' : dir;
   let targetDirRel = currentDirRel;
-  const status = normalizeString(working.status);
+  const archiveFolder = archiveFolderFor(typeSchema, working);
 
-  if (TERMINAL_STATUSES.has(status)) {
-    targetDirRel = 'Archive';
-  } else
-  if (!hadTypeAtStart && currentFolder !== '') {
+  if (archiveFolder !== null) {
+    targetDirRel = archiveFolder;
+  } else if (untyped && currentFolder !== '') {
     targetDirRel = '';
-  } else if (
-    typeSchema &&
-    matchInfo.typeFolderMismatch &&
-    matchInfo.typePreferredFolder !== null &&
-    currentFolder !== 'Templates'
-  ) {
-    targetDirRel = matchInfo.typePreferredFolder || '';
+  } else if (typeSchema && matchInfo.typeMatchedByValue && currentFolder !== 'Templates') {
+    const placement = resolveSchemaFolderPlacement(typeSchema, working, relPath);
+    if (!placement.inPlace && placement.target !== null) targetDirRel = placement.target;
   }
 
   const targetRelPath = targetDirRel ? `${targetDirRel}/${desiredBaseName}` : desiredBaseName;
@@ -1417,7 +2518,7 @@ async function processFile({ file, vault, schemas, mode, write }) {
         await fs.mkdir(path.dirname(targetPath), { recursive: true });
         await fs.rename(file, targetPath);
         movedTo = targetPath;
-        if (!hadTypeAtStart && currentFolder !== '') {
+        if (untyped && currentFolder !== '') {
           fixes.push(`moved file without type to root '${targetRelPath}'`);
         } else if (targetDirRel !== currentDirRel) {
           fixes.push(`moved file to '${targetRelPath}' based on schema folder`);
@@ -1426,7 +2527,7 @@ async function processFile({ file, vault, schemas, mode, write }) {
         }
       }
     } else {
-      if (!hadTypeAtStart && currentFolder !== '') {
+      if (untyped && currentFolder !== '') {
         fixes.push(`would move file without type to root '${targetRelPath}'`);
       } else if (targetDirRel !== currentDirRel) {
         fixes.push(`would move file to '${targetRelPath}' based on schema folder`);
@@ -1437,7 +2538,7 @@ async function processFile({ file, vault, schemas, mode, write }) {
   }
 
   if (mode === 'fix' && changed && write) {
-    const updatedText = serializeMarkdown(parsed.body, working, parsed.hasFrontmatter);
+    const updatedText = serializeMarkdown(body, working, parsed.hasFrontmatter);
     await fs.writeFile(movedTo || file, updatedText, 'utf8');
   }
 
@@ -1489,17 +2590,26 @@ async function applyBidirectionalLinkPass({ vault, schemas, report, mode, write
     notes.push(note);
   }
 
+  // Notes are indexed by basename and by vault-relative path so both `[[Note]]`
+  // and `[[Folder/Note]]` links resolve.
   const titleMap = new Map();
   for (const note of notes) {
     const title = path.basename(note.file, '.md').trim();
-    const key = normalizeTitleKey(title);
-    if (!key) continue;
-    if (!titleMap.has(key)) titleMap.set(key, []);
-    titleMap.get(key).push(note);
+    const keys = new Set([normalizeTitleKey(title), normalizeTitleKey(note.relPath.replace(/\.md$/i, ''))]);
+    for (const key of keys) {
+      if (!key) continue;
+      if (!titleMap.has(key)) titleMap.set(key, []);
+      titleMap.get(key).push(note);
+    }
   }
 
   const linkOpsSeen = new Set();
 
+  for (const source of notes) {
+    applyReferenceChecks({ source, schemaIndex, titleMap, reportsByFile });
+  }
+  applyUniquenessChecks({ notes, schemaIndex, reportsByFile });
+
   for (const source of notes) {
     const pairRules = source.schema?.pairRules || [];
     if (!Array.isArray(pairRules) || pairRules.length === 0) continue;
@@ -1548,11 +2658,9 @@ function applyBacklinkDirection({
   if (!sourceReport) return;
   const outboundLinks = extractLinkTargets(source.frontmatter[sourceField]);
   for (const outboundLink of outboundLinks) {
-    const targetTitle = parseWikiLinkTarget(outboundLink);
-    if (!targetTitle) continue;
-    const key = normalizeTitleKey(targetTitle);
-    const matches = titleMap.get(key) || [];
-    if (matches.length === 0) {
+    const { status, targetTitle, target } = resolveNoteLink(outboundLink, titleMap);
+    if (status === 'invalid') continue;
+    if (status === 'unresolved') {
       sourceReport.violations.push({
         rule: 'backlink/unresolved',
         field: sourceField,
@@ -1560,7 +2668,7 @@ function applyBacklinkDirection({
       });
       continue;
     }
-    if (matches.length > 1) {
+    if (status === 'ambiguous') {
       sourceReport.violations.push({
         rule: 'backlink/ambiguous',
         field: sourceField,
@@ -1569,7 +2677,6 @@ function applyBacklinkDirection({
       continue;
     }
 
-    const target = matches[0];
     if (targetType && !noteMatchesTargetType(target, targetType, schemaIndex)) {
       sourceReport.violations.push({
         rule: 'backlink/type-mismatch',
@@ -1611,6 +2718,85 @@ function applyBacklinkDirection({
   }
 }
 
+function resolveNoteLink(link, titleMap) {
+  const targetTitle = parseWikiLinkTarget(link);
+  if (!targetTitle) return { status: 'invalid', targetTitle: null, target: null };
+  const matches = titleMap.get(normalizeTitleKey(targetTitle)) || [];
+  if (matches.length === 0) return { status: 'unresolved', targetTitle, target: null };
+  if (matches.length > 1) return { status: 'ambiguous', targetTitle, target: null };
+  return { status: 'resolved', targetTitle, target: matches[0] };
+}
+
+function applyReferenceChecks({ source, schemaIndex, titleMap, reportsByFile }) {
+  const sourceReport = reportsByFile.get(source.file);
+  if (!sourceReport) return;
+  for (const [field, rules] of Object.entries(source.schema?.fieldRules || {})) {
+    if (!rules.ref) continue;
+    const descriptor = `ref.${field}`;
+    // Pair fields already report unresolved and ambiguous targets in the backlink pass.
+    const reportResolution = !source.schema.pairRulesByField?.[field];
+    for (const link of extractLinkTargets(source.frontmatter[field])) {
+      const { status, targetTitle, target } = resolveNoteLink(link, titleMap);
+      if (status === 'invalid') continue;
+      if (status === 'unresolved' || status === 'ambiguous') {
+        if (!reportResolution) continue;
+        sourceReport.violations.push({
+          rule: `ref/${status}`,
+          field,
+          message: `${status === 'unresolved' ? 'Unresolved' : 'Ambiguous'} reference '${targetTitle}' in '${field}' (${descriptor})`
+        });
+        continue;
+      }
+      if (!noteMatchesTargetType(target, rules.ref, schemaIndex)) {
+        sourceReport.violations.push({
+          rule: 'ref/type-mismatch',
+          field,
+          message: `Reference '${targetTitle}' in '${field}' has type '${target.schema?.id || target.frontmatter.type || ''}', expected '${rules.ref}' (${descriptor})`
+        });
+      }
+    }
+  }
+}
+
+function applyUniquenessChecks({ notes, schemaIndex, reportsByFile }) {
+  const specs = new Map();
+  for (const note of notes) {
+    for (const [field, rules] of Object.entries(note.schema?.fieldRules || {})) {
+      if (!rules.unique) continue;
+      specs.set(`${field}::${rules.unique.scope}::${rules.unique.type || ''}`, { field, ...rules.unique });
+    }
+  }
+
+  for (const spec of specs.values()) {
+    const groups = new Map();
+    for (const note of notes) {
+      if (spec.scope === 'type' && !noteMatchesTargetType(note, spec.type, schemaIndex)) continue;
+      const value = note.frontmatter[spec.field];
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (!hasMeaningfulRequiredValue(item)) continue;
+        const key = itemIdentityKey(item);
+        if (!groups.has(key)) groups.set(key, { display: String(item).trim(), notes: [] });
+        const group = groups.get(key);
+        if (!group.notes.includes(note)) group.notes.push(note);
+      }
+    }
+
+    for (const group of groups.values()) {
+      if (group.notes.length < 2) continue;
+      for (const note of group.notes) {
+        const rule = note.schema?.fieldRules?.[spec.field]?.unique;
+        if (!rule || rule.scope !== spec.scope || (rule.type || null) !== (spec.type || null)) continue;
+        const others = group.notes.filter((other) => other !== note).map((other) => other.relPath.replace(/\.md$/i, ''));
+        reportsByFile.get(note.file)?.violations.push({
+          rule: 'unique/duplicate',
+          field: spec.field,
+          message: `Duplicate '${spec.field}' value '${group.display}' (shared with: ${others.join(', ')})`
+        });
+      }
+    }
+  }
+}
+
 function fieldContainerKind(prop, currentValue) {
   if (prop && prop.type === 'array') return 'array';
   if (prop && prop.type === 'string') return 'scalar';
@@ -1719,69 +2905,28 @@ function noteMatchesTargetType(note, targetType, schemaIndex) {
 }
 
 function typeMatchesOrExtends(typeValue, wantedType, schemaIndex) {
-  let current = normalizeString(typeValue);
   const wanted = normalizeString(wantedType);
+  const queue = [normalizeString(typeValue)];
   const seen = new Set();
-  while (current && !seen.has(current)) {
+  while (queue.length > 0) {
+    const current = queue.shift();
+    if (!current || seen.has(current)) continue;
     if (current === wanted) return true;
     seen.add(current);
     const schema = schemaIndex.get(current);
-    current = normalizeString(schema?.extends);
+    if (schema) queue.push(...schemaParents(schema).map(normalizeString));
   }
   return false;
 }
 
-function applyBroadAutofix({ relPath, filePath, working, fixes }) {
-  const folder = relPath.split('/')[0];
-  const filename = path.basename(filePath, '.md');
-
+function applyBroadAutofix({ working, fixes, typeMigrations }) {
   normalizeTypeValue(working, fixes);
 
   const currentType = normalizeString(working.type);
-  if (currentType && Object.prototype.hasOwnProperty.call(LEGACY_TYPE_MAP, currentType)) {
-    const mapped = LEGACY_TYPE_MAP[currentType];
-    if (mapped) {
-      working.type = mapped;
-      fixes.push(`legacy type '${currentType}' -> type='${mapped}'`);
-    }
-  }
-
-  // One-time migration: kind -> subtype (intermediate step before flattening to type)
-  if (working.kind !== undefined) {
-    if (working.subtype === undefined || working.subtype === null || working.subtype === '') {
-      working.subtype = working.kind;
-      fixes.push(`migrated 'kind' -> 'subtype'`);
-    }
-    delete working.kind;
-  }
-
-  const baseType = normalizeString(working.type);
-  if (
-    (baseType === 'entity' || baseType === 'source') &&
-    working.subtype !== undefined &&
-    working.subtype !== null &&
-    String(working.subtype).trim() !== ''
-  ) {
-    const subtypeNorm = normalizeString(working.subtype);
-    const canonicalSubtype = LEGACY_SUBTYPE_MAP[subtypeNorm] || subtypeNorm;
-    const flattened = canonicalSubtype;
-    working.type = flattened;
-    delete working.subtype;
-    fixes.push(`flattened type/subtype -> type='${flattened}'`);
-  } else if (working.subtype !== undefined) {
-    delete working.subtype;
-    fixes.push(`removed deprecated 'subtype'`);
-  }
-
-  if (!working.type || normalizeString(working.type) === 'none') {
-    const inferred = FOLDER_TYPE_MAP[folder];
-    if (inferred) {
-      working.type = inferred;
-      fixes.push(`inferred type='${inferred}' from folder '${folder}'`);
-    } else if (folder === '') {
-      working.type = 'note';
-      fixes.push(`inferred type='note' for root note without type`);
-    }
+  if (currentType && typeMigrations.has(currentType)) {
+    const mapped = typeMigrations.get(currentType);
+    working.type = mapped;
+    fixes.push(`legacy type '${currentType}' -> type='${mapped}'`);
   }
 
   const normalizedType = normalizeString(working.type);
@@ -1789,21 +2934,6 @@ function applyBroadAutofix({ relPath, filePath, working, fixes }) {
     working.type = normalizedType;
   }
 
-  if (folder === 'Dailies') {
-    if (!working.date && /^\d{4}-\d{2}-\d{2}$/.test(filename)) {
-      working.date = filename;
-      fixes.push(`added date from filename '${filename}'`);
-    }
-  }
-
-  if (folder === 'Meetings') {
-    const m = filename.match(/^(\d{4}-\d{2}-\d{2})\b/);
-    if (m && !working.date) {
-      working.date = m[1];
-      fixes.push(`added meeting date '${m[1]}' from filename`);
-    }
-  }
-
   for (const key of ['tags', 'aliases', 'children', 'attendees']) {
     if (working[key] !== undefined && working[key] !== null && !Array.isArray(working[key])) {
       working[key] = [String(working[key]).trim()].filter(Boolean);
@@ -1818,13 +2948,50 @@ function applyBroadAutofix({ relPath, filePath, working, fixes }) {
 
 }
 
-function applySchemaAutofix({ schema, working, fixes, ambiguous, relPath }) {
+// `default.<field>` values may use `{{today}}`, `{{now}}`, `{{filename.date}}`, `{{folder}}` and
+// `{{setting.author}}` (from `--author`), with the same formats and filters as `compute.*`.
+// Returns undefined when the schema has no default or a token has no value.
+function resolveSchemaDefault(prop, { relPath, settings }) {
+  if (!prop || !Object.prototype.hasOwnProperty.call(prop, 'default')) return undefined;
+  const lookup = (name) => defaultTokenValue(name, { relPath, settings });
+  const render = (value) => {
+    if (typeof value !== 'string' || !hasTemplatePlaceholder(value)) return cloneValue(value);
+    return renderTemplate(value, lookup) ?? undefined;
+  };
+  if (!Array.isArray(prop.default)) return render(prop.default);
+  return prop.default.map(render).filter((value) => value !== undefined);
+}
+
+function defaultTokenValue(name, { relPath, settings }) {
+  if (name === 'today') return formatLocalDate(new Date());
+  if (name === 'now') return formatLocalDateTime(new Date());
+  if (name === 'filename.date') return leadingIsoDate(path.posix.basename(relPath || '', '.md'));
+  if (name === 'folder') {
+    const dir = path.posix.dirname(relPath || '');
+    return dir === '.' ? null : dir;
+  }
+  if (name.startsWith('setting.')) return settings?.[name.slice('setting.'.length)];
+  return undefined;
+}
+
+function applySchemaAutofix({ schema, working, fixes, ambiguous, relPath, settings }) {
+  applyComputedFields({ schema, working, fixes, relPath });
+
+  for (const key of schema.unset?.fields || []) {
+    const value = working[key];
+    if (value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+      delete working[key];
+      fixes.push(`removed blank unset field '${key}'`);
+    }
+  }
+
   if (Array.isArray(schema.required)) {
     for (const key of schema.required) {
       const prop = schema.properties[key];
       if (working[key] === undefined) {
-        if (prop && Object.prototype.hasOwnProperty.call(prop, 'default')) {
-          working[key] = cloneValue(prop.default);
+        const value = resolveSchemaDefault(prop, { relPath, settings });
+        if (value !== undefined) {
+          working[key] = value;
           fixes.push(`added required '${key}' from schema default`);
         } else {
           working[key] = blankValueForProperty(prop);
@@ -1837,6 +3004,20 @@ function applySchemaAutofix({ schema, working, fixes, ambiguous, relPath }) {
     }
   }
 
+  for (const [key, rules] of Object.entries(schema.fieldRules || {})) {
+    if (!rules.requiredIf || working[key] !== undefined || !conditionHolds(rules.requiredIf, working)) continue;
+    const prop = schema.properties?.[key];
+    const when = describeRequiredIf(rules.requiredIf);
+    const value = resolveSchemaDefault(prop, { relPath, settings });
+    if (value !== undefined) {
+      working[key] = value;
+      fixes.push(`added required '${key}' from schema default (when ${when})`);
+    } else {
+      working[key] = blankValueForProperty(prop);
+      fixes.push(`added required '${key}' (blank, when ${when})`);
+    }
+  }
+
   for (const [key, prop] of Object.entries(schema.properties || {})) {
     const value = working[key];
     if (value === undefined) continue;
@@ -1846,6 +3027,19 @@ function applySchemaAutofix({ schema, working, fixes, ambiguous, relPath }) {
       fixes.push(`coerced '${key}' array->string`);
     }
 
+    if (SCALAR_FIELD_TYPES.has(prop.type) && Array.isArray(value) && value.length === 1) {
+      working[key] = value[0];
+      fixes.push(`coerced '${key}' array->${prop.type}`);
+    }
+
+    if (SCALAR_FIELD_TYPES.has(prop.type) && working[key] !== null && working[key] !== '' && !Array.isArray(working[key])) {
+      const coerced = coerceTypedValue(prop.type, working[key]);
+      if (coerced !== undefined && coerced !== working[key]) {
+        working[key] = coerced;
+        fixes.push(`coerced '${key}' to ${prop.type}`);
+      }
+    }
+
     if (prop.type === 'array' && !Array.isArray(value)) {
       working[key] = [String(value)];
       fixes.push(`coerced '${key}' string->array`);
@@ -1855,13 +3049,20 @@ function applySchemaAutofix({ schema, working, fixes, ambiguous, relPath }) {
       working[key] = working[key].trim();
     }
 
-    if (prop.enum && typeof working[key] === 'string') {
-      const lowered = working[key].toLowerCase();
-      const matched = prop.enum.find((entry) => String(entry).toLowerCase() === lowered);
-      if (matched !== undefined && matched !== working[key]) {
-        working[key] = matched;
-        fixes.push(`normalized enum case for '${key}'`);
+    const aliases = schema.fieldRules?.[key]?.alias;
+    if ((prop.enum || aliases) && typeof working[key] === 'string') {
+      const next = canonicalEnumValue(working[key], prop, aliases);
+      if (next.value !== working[key]) {
+        fixes.push(describeEnumFix(key, working[key], next));
+        working[key] = next.value;
       }
+    } else if ((prop.enum || aliases) && Array.isArray(working[key])) {
+      working[key] = working[key].map((entry) => {
+        const next = canonicalEnumValue(entry, prop, aliases);
+        if (next.value === entry) return entry;
+        fixes.push(describeEnumFix(key, entry, next));
+        return next.value;
+      });
     }
 
     if (prop.format === 'wikilink' && typeof working[key] === 'string' && working[key].trim()) {
@@ -1874,6 +3075,46 @@ function applySchemaAutofix({ schema, working, fixes, ambiguous, relPath }) {
     // Preserve optional placeholders so users can fill fields incrementally.
     // Empty optional fields are tolerated by validation and should not be pruned here.
   }
+
+  for (const [key, rules] of Object.entries(schema.fieldRules || {})) {
+    if (rules.ref && working[key] !== undefined && working[key] !== null) {
+      const toLink = (item) => (typeof item === 'string' && item.trim() && !isWikiLink(item) ? toWikiLink(item) : item);
+      const next = Array.isArray(working[key]) ? working[key].map(toLink) : toLink(working[key]);
+      if (!deepEqual(next, working[key])) {
+        working[key] = next;
+        fixes.push(`normalized '${key}' to wikilink`);
+      }
+    }
+
+    if (rules.uniqueItems && Array.isArray(working[key])) {
+      const deduped = dedupeItems(working[key]);
+      const removed = working[key].length - deduped.length;
+      if (removed > 0) {
+        working[key] = deduped;
+        fixes.push(`removed ${removed} duplicate entr${removed === 1 ? 'y' : 'ies'} from '${key}'`);
+      }
+    }
+  }
+}
+
+function itemIdentityKey(item) {
+  const raw = typeof item === 'string' ? item : String(item);
+  return normalizeTitleKey(parseWikiLinkTarget(raw) || raw);
+}
+
+function dedupeItems(items) {
+  const seen = new Set();
+  return items.filter((item) => {
+    const key = itemIdentityKey(item);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function countItems(value) {
+  if (Array.isArray(value)) return value.filter((item) => hasMeaningfulRequiredValue(item)).length;
+  return hasMeaningfulRequiredValue(value) ? 1 : 0;
 }
 
 function validateAgainstSchema({ schema, working, violations }) {
@@ -1883,6 +3124,16 @@ function validateAgainstSchema({ schema, working, violations }) {
     }
   }
 
+  for (const [key, rules] of Object.entries(schema.fieldRules || {})) {
+    if (!rules.requiredIf || (schema.required || []).includes(key)) continue;
+    if (!conditionHolds(rules.requiredIf, working) || hasMeaningfulRequiredValue(working[key])) continue;
+    violations.push({
+      rule: 'requiredIf',
+      field: key,
+      message: `Missing required field '${key}' (when ${describeRequiredIf(rules.requiredIf)})`
+    });
+  }
+
   for (const [key, prop] of Object.entries(schema.properties || {})) {
     const value = working[key];
     if (value === undefined || value === null) continue;
@@ -1898,18 +3149,70 @@ function validateAgainstSchema({ schema, working, violations }) {
       continue;
     }
 
-    if (prop.enum && !prop.enum.includes(value)) {
+    if (SCALAR_FIELD_TYPES.has(prop.type) && !isTypedValue(prop.type, value)) {
+      violations.push({ rule: 'type', field: key, message: `'${key}' should be ${prop.type}, got '${value}'` });
+      continue;
+    }
+
+    if (prop.enum) {
+      // Array enums are checked entry by entry.
+      const entries = Array.isArray(value) ? value : [value];
+      for (const entry of entries.filter((item) => !prop.enum.includes(item))) {
+        violations.push({
+          rule: 'enum',
+          field: key,
+          message: `'${key}' should be one of: ${prop.enum.join(', ')}, got '${entry}'`
+        });
+      }
+    }
+
+    if (prop.format === 'wikilink' && typeof value === 'string' && !isWikiLink(value)) {
+      violations.push({ rule: 'format', field: key, message: `'${key}' should be a wikilink ([[...]])` });
+    }
+  }
+
+  for (const [key, rules] of Object.entries(schema.fieldRules || {})) {
+    const value = working[key];
+    const count = countItems(value);
+
+    if (rules.minItems !== undefined && count < rules.minItems) {
       violations.push({
-        rule: 'enum',
+        rule: 'min',
         field: key,
-        message: `'${key}' should be one of: ${prop.enum.join(', ')}, got '${value}'`
+        message: `'${key}' should have at least ${rules.minItems} item(s), got ${count}`
       });
     }
 
-    if (prop.format === 'wikilink' && typeof value === 'string' && !isWikiLink(value)) {
-      violations.push({ rule: 'format', field: key, message: `'${key}' should be a wikilink ([[...]])` });
+    if (rules.maxItems !== undefined && count > rules.maxItems) {
+      violations.push({
+        rule: 'max',
+        field: key,
+        message: `'${key}' should have at most ${rules.maxItems} item(s), got ${count}`
+      });
+    }
+
+    if (rules.uniqueItems && Array.isArray(value) && dedupeItems(value).length !== value.length) {
+      violations.push({ rule: 'uniqueItems', field: key, message: `'${key}' should not contain duplicate entries` });
+    }
+
+    if (rules.pattern) {
+      const re = compilePattern(rules.pattern);
+      const values = Array.isArray(value) ? value : [value];
+      for (const item of values) {
+        if (typeof item !== 'string' || item === '' || re.test(item)) continue;
+        violations.push({
+          rule: 'pattern',
+          field: key,
+          message: `'${key}' should match pattern ${rules.pattern}, got '${item}'`
+        });
+      }
     }
   }
+
+  for (const [name, check] of Object.entries(schema.checks || {})) {
+    if (evaluateCheckExpression(check.expr, working)) continue;
+    violations.push({ rule: `check/${name}`, message: `Check '${name}' failed: ${check.source}` });
+  }
 }
 
 function blankValueForProperty(prop) {
@@ -1918,6 +3221,89 @@ function blankValueForProperty(prop) {
   return null;
 }
 
+// Level-2 headings outside fenced code blocks, with the line index where each starts.
+function listBodySections(body) {
+  const lines = String(body).split('\n');
+  const sections = [];
+  let fenced = false;
+  lines.forEach((line, index) => {
+    if (/^\s*(```|~~~)/.test(line)) fenced = !fenced;
+    const m = !fenced && line.match(/^##[ \t]+(.+?)[ \t]*#*[ \t]*$/);
+    if (m) sections.push({ heading: m[1].trim(), index });
+  });
+  return sections.map((section, i) => {
+    const end = i + 1 < sections.length ? sections[i + 1].index : lines.length;
+    const content = lines.slice(section.index + 1, end).join('\n').trim();
+    return { ...section, content };
+  });
+}
+
+function findBodySection(found, heading) {
+  return found.find((s) => s.heading.toLowerCase() === heading.toLowerCase()) || null;
+}
+
+// Missing required sections are inserted before the next declared section already present,
+// or appended at the end of the body.
+function applySectionAutofix({ schema, body, fixes }) {
+  const declared = schema.sections || [];
+  let next = body;
+  declared.forEach((section, position) => {
+    if (!section.required) return;
+    const found = listBodySections(next);
+    if (findBodySection(found, section.heading)) return;
+    const block = [`## ${section.heading}`, ...(section.template ? [section.template] : [])].join('\n');
+    const following = declared
+      .slice(position + 1)
+      .map((later) => findBodySection(found, later.heading))
+      .filter(Boolean)
+      .sort((a, b) => a.index - b.index)[0];
+    if (following) {
+      const lines = next.split('\n');
+      lines.splice(following.index, 0, block, '');
+      next = lines.join('\n');
+    } else {
+      next = `${next.replace(/\s*$/, '')}\n\n${block}\n`;
+    }
+    fixes.push(`added required section '## ${section.heading}'`);
+  });
+  return next;
+}
+
+// Required sections must exist and hold more than their template. Sections that `fix` has just
+// added (absent from `original`) are not reported as empty until a later run.
+function validateSections({ schema, body, original, violations }) {
+  const declared = schema.sections || [];
+  if (declared.length === 0) return;
+  const found = listBodySections(body);
+  const foundBefore = listBodySections(original ?? body);
+  for (const section of declared) {
+    if (!section.required) continue;
+    const existing = findBodySection(found, section.heading);
+    if (!existing) {
+      violations.push({
+        rule: 'section/required',
+        field: section.heading,
+        message: `Missing required section '## ${section.heading}'`
+      });
+    } else if ((!existing.content || existing.content === section.template) && findBodySection(foundBefore, section.heading)) {
+      violations.push({
+        rule: 'section/empty',
+        field: section.heading,
+        message: `Empty required section '## ${section.heading}'`
+      });
+    }
+  }
+
+  const present = declared.filter((section) => findBodySection(found, section.heading));
+  const actual = [...present].sort((a, b) => findBodySection(found, a.heading).index - findBodySection(found, b.heading).index);
+  if (present.some((section, i) => section !== actual[i])) {
+    violations.push({
+      rule: 'section/order',
+      message: `Sections out of order: expected ${present.map((s) => `'## ${s.heading}'`).join(', ')}`
+    });
+  }
+}
+
 function hasMeaningfulRequiredValue(value) {
   if (value === undefined || value === null) return false;
   if (typeof value === 'string') return value.trim() !== '';
@@ -1925,8 +3311,82 @@ function hasMeaningfulRequiredValue(value) {
   return true;
 }
 
+function normalizeTagValue(value) {
+  return String(value ?? '').trim().replace(/^#/, '').toLowerCase();
+}
+
+// Types a note that has none. Rules are tried in order: `inferFrom.tag` (`#meeting` or
+// `#type/meeting` in `tags`), the deepest schema folder containing the note, `inferFrom.filename`,
+// and finally `note` for notes at the vault root. The first rule that matches decides; when it
+// matches several types, or a later rule points elsewhere, the note is flagged for review.
+// Abstract schemas are never inferred. Returns the inferred type or null.
+function inferNoteType({ relPath, working, schemas, fixes, ambiguous }) {
+  if (working.type && normalizeString(working.type) !== 'none') return null;
+  const dir = path.posix.dirname(relPath);
+  const folder = dir === '.' ? '' : dir;
+  const filename = path.posix.basename(relPath, '.md');
+  const noteTags = (Array.isArray(working.tags) ? working.tags : [working.tags]).map(normalizeTagValue).filter(Boolean);
+  const concrete = schemas.filter((s) => s.discriminator === 'type' && !s.abstract);
+
+  const tagMatches = concrete.filter((s) =>
+    (s.inferFrom?.tags || []).some((tag) => noteTags.includes(tag) || noteTags.includes(`type/${tag}`))
+  );
+
+  // Root-level schema folders would claim every note, so only real folders count here. Among
+  // equally deep folders a schema without `match.*` conditions is preferred.
+  const folderCandidates = concrete
+    .map((s) => ({ schema: s, depth: matchingFolderDepth(folder, s.folders), conditions: Object.entries(s.match || {}) }))
+    .filter(({ depth, conditions }) => depth > 0 && conditions.every(([k, v]) => normalizeString(working[k]) === normalizeString(v)));
+  const deepest = Math.max(0, ...folderCandidates.map((c) => c.depth));
+  const atDeepest = folderCandidates.filter((c) => c.depth === deepest);
+  const fewestConditions = Math.min(...atDeepest.map((c) => c.conditions.length));
+  const folderMatches = atDeepest.filter((c) => c.conditions.length === fewestConditions).map((c) => c.schema);
+
+  const filenameMatches = concrete.filter((s) => s.inferFrom?.filename && compilePattern(s.inferFrom.filename).test(filename));
+
+  const rules = [
+    { name: 'tag', schemas: tagMatches, fix: (t) => `inferred type='${t}' from tags` },
+    { name: 'folder', schemas: folderMatches, fix: (t) => `inferred type='${t}' from folder '${folder}'` },
+    { name: 'filename', schemas: filenameMatches, fix: (t) => `inferred type='${t}' from filename '${filename}'` }
+  ]
+    .map((rule) => ({ ...rule, types: [...new Set(rule.schemas.map((s) => normalizeString(s.id)))].sort() }))
+    .filter((rule) => rule.types.length > 0);
+  const describe = (rule) => `${rule.name} -> ${rule.types.map((t) => `'${t}'`).join(', ')}`;
+
+  if (rules.length === 0) {
+    if (folder !== '') return null;
+    working.type = 'note';
+    fixes.push(`inferred type='note' for root note without type`);
+    return 'note';
+  }
+
+  const [winner, ...others] = rules;
+  if (winner.types.length > 1) {
+    ambiguous.push(`Type inference is ambiguous: ${rules.map(describe).join('; ')}`);
+    return null;
+  }
+  const type = winner.types[0];
+  working.type = type;
+  fixes.push(winner.fix(type));
+  if (others.some((rule) => rule.types.some((t) => t !== type))) {
+    ambiguous.push(`Type inference disagrees: ${rules.map(describe).join('; ')} (using '${type}')`);
+  }
+  return type;
+}
+
+function describeConcreteSubtypes(schema, schemas) {
+  const index = buildTypeSchemaIndex(schemas);
+  const subtypes = schemas
+    .filter((s) => s.discriminator === 'type' && !s.abstract && s !== schema)
+    .filter((s) => typeMatchesOrExtends(normalizeString(s.id), normalizeString(schema.id), index))
+    .map((s) => `'${s.id}'`)
+    .sort();
+  return subtypes.length > 0 ? `one of: ${subtypes.join(', ')}` : 'a concrete schema that extends it';
+}
+
 function pickSchemasForFile({ relPath, working, schemas }) {
-  const folder = relPath.split('/')[0];
+  const dir = path.posix.dirname(relPath);
+  const folder = dir === '.' ? '' : dir;
   const noteType = normalizeString(working.type);
   const typeCandidate = pickBestSchemaByDiscriminator({
     schemas,
@@ -1938,36 +3398,38 @@ function pickSchemasForFile({ relPath, working, schemas }) {
 
   return {
     typeSchema: typeCandidate?.schema || null,
-    typeFolderMismatch: typeCandidate?.folderMismatch || false,
-    typePreferredFolder: typeCandidate ? typeCandidate.preferredFolder : null
+    typeMatchedByValue: typeCandidate?.matchedByValue || false
   };
 }
 
+// `match` conditions let several schemas share a type or folder: a note typed `source` with
+// `kind: paper` uses a `paper` schema that extends `source` and declares `match.kind: paper`.
+// The most specific candidate (most conditions met) wins, and on a tie the schema named by the
+// note's own type is kept, as in the plugin's `refineType`. A note typed with the schema's own id
+// can always use it, whatever its conditions.
 function pickBestSchemaByDiscriminator({ schemas, discriminator, noteValue, folder, working }) {
+  const schemaIndex = new Map(schemas.map((schema) => [normalizeString(schema.id), schema]));
   const candidates = [];
   for (const schema of schemas) {
     if (schema.discriminator !== discriminator) continue;
 
-    const schemaFolder = typeof schema.folder === 'string' ? schema.folder : null;
+    const schemaFolders = schema.folders || [];
     const schemaId = normalizeString(schema.id);
-    const valueMatch = Boolean(noteValue && schemaId && noteValue === schemaId);
-    const folderMatch = Boolean(!noteValue && schemaFolder !== null ? schemaFolder === folder : false);
+    const conditions = Object.entries(schema.match || {});
+    const conditionsHold = conditions.every(([k, v]) => normalizeString(working[k]) === normalizeString(v));
+    const exactMatch = Boolean(noteValue && schemaId && noteValue === schemaId);
+    const refinedMatch = Boolean(
+      noteValue && !exactMatch && conditions.length > 0 && typeMatchesOrExtends(schemaId, noteValue, schemaIndex)
+    );
+    const valueMatch = exactMatch || (refinedMatch && conditionsHold && !schema.abstract);
+    const folderDepth = matchingFolderDepth(folder, schemaFolders);
+    // Abstract schemas only apply to notes that name them explicitly.
+    const folderMatch = Boolean(!noteValue && folderDepth >= 0 && conditionsHold && !schema.abstract);
 
     // Type schema: prefer explicit type matching; only use folder matching when the note has no type.
     if (!valueMatch && !folderMatch) continue;
 
-    const match = schema.match || {};
-    let ok = true;
-    for (const [k, v] of Object.entries(match)) {
-      const got = normalizeString(working[k]);
-      if (got !== normalizeString(v)) {
-        ok = false;
-        break;
-      }
-    }
-    if (!ok) continue;
-
-    candidates.push({ schema, valueMatch, folderMatch, schemaFolder });
+    candidates.push({ schema, exactMatch, valueMatch, folderMatch, folderDepth, specificity: conditionsHold ? conditions.length : 0 });
   }
 
   if (candidates.length === 0) return null;
@@ -1975,16 +3437,17 @@ function pickBestSchemaByDiscriminator({ schemas, discriminator, noteValue, fold
   candidates.sort((a, b) => {
     if (a.valueMatch !== b.valueMatch) return a.valueMatch ? -1 : 1;
     if (a.folderMatch !== b.folderMatch) return a.folderMatch ? -1 : 1;
-    return 0;
+    // Among folder matches the most specific (deepest) folder wins.
+    if (a.folderMatch && a.folderDepth !== b.folderDepth) return b.folderDepth - a.folderDepth;
+    if (a.specificity !== b.specificity) return b.specificity - a.specificity;
+    return Number(b.exactMatch) - Number(a.exactMatch);
   });
 
   const best = candidates[0];
   return {
     schema: best.schema,
     matchedByValue: best.valueMatch,
-    matchedByFolder: best.folderMatch,
-    folderMismatch: best.valueMatch && best.schemaFolder !== null && best.schemaFolder !== folder,
-    preferredFolder: best.schemaFolder
+    matchedByFolder: best.folderMatch
   };
 }
 
@@ -2100,7 +3563,8 @@ function orderKeys(obj) {
     }
   }
 
-  for (const key of Object.keys(obj).sort()) {
+  const keys = Object.keys(obj);
+  for (const key of [...keys.filter((k) => !k.startsWith('section.')).sort(), ...keys.filter((k) => k.startsWith('section.'))]) {
     if (!Object.prototype.hasOwnProperty.call(out, key)) {
       out[key] = obj[key];
     }
@@ -0,0 +1,554 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPluginHelpers, makeApp, makePlugin } = require('./mobile-schema-typer.helpers.cjs');
+
+const { parseSchemaFrontmatter, parseFrontmatter } = loadPluginHelpers();
+
+test('applySchemaToFile coerces typed scalar fields and warns on invalid values', async () => {
+  const app = makeApp({
+    'Meetings/Standup.md': '---\ntype: meeting\ndate: 2026/4/6\nbudget: "1200"\nconfidential: yes\nurl: not a link\n---\nBody\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['meeting', parseSchemaFrontmatter({
+      folder: '/Meetings',
+      'field.date*': 'date',
+      'field.budget': 'number',
+      'field.confidential': 'boolean',
+      'field.url': 'url'
+    }, { type: 'meeting' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Meetings/Standup.md'));
+
+  const fm = parseFrontmatter(app._files.get('Meetings/Standup.md').content);
+  assert.equal(fm.date, '2026-04-06');
+  assert.equal(fm.budget, 1200);
+  assert.equal(fm.confidential, true);
+  assert.equal(fm.url, 'not a link');
+  assert.equal(plugin.runStats.warnings.length, 1);
+  assert.match(plugin.runStats.warnings[0], /'url' .* should be url/);
+});
+
+test('applySchemaToFile records a warning for values that do not match a pattern', async () => {
+  const app = makeApp({
+    'Projects/Alpha.md': '---\ntype: project\nticket: ABC-12\ncodes:\n  - PRJ-1\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['project', parseSchemaFrontmatter({
+      folder: '/Projects',
+      'field.ticket': '',
+      'pattern.ticket': '^PRJ-\\d+$',
+      'pattern.codes': '/^prj-\\d+$/i'
+    }, { type: 'project' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Projects/Alpha.md'));
+
+  assert.equal(plugin.runStats.warnings.length, 1);
+  assert.match(plugin.runStats.warnings[0], /'ticket' .* should match pattern \^PRJ-\\d\+\$, got 'ABC-12'/);
+});
+
+test('applySchemaToFile checks every array entry against a pattern with the g flag', async () => {
+  const app = makeApp({
+    'Projects/Beta.md': '---\ntype: project\ncodes:\n  - PRJ-1\n  - PRJ-2\n  - ABC-3\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['project', parseSchemaFrontmatter({ folder: '/Projects', 'pattern.codes': '/^PRJ-\\d+$/g' }, { type: 'project' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Projects/Beta.md'));
+
+  assert.equal(plugin.runStats.warnings.length, 1);
+  assert.match(plugin.runStats.warnings[0], /got 'ABC-3'/);
+});
+
+test('applySchemaToFile removes duplicate links and warns on cardinality limits', async () => {
+  const app = makeApp({
+    'Meetings/Sync.md': '---\ntype: meeting\nattendees:\n  - "[[Alice]]"\n  - "[[alice]]"\n  - "[[Bob|Bobby]]"\n  - "[[Bob]]"\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['meeting', parseSchemaFrontmatter({
+      folder: '/Meetings',
+      'field.attendees': [],
+      'min.attendees': 3,
+      'uniqueItems.attendees': true
+    }, { type: 'meeting' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Meetings/Sync.md'));
+
+  const fm = parseFrontmatter(app._files.get('Meetings/Sync.md').content);
+  assert.equal(JSON.stringify(fm.attendees), JSON.stringify(['[[Alice]]', '[[Bob|Bobby]]']));
+  assert.equal(plugin.runStats.warnings.length, 1);
+  assert.match(plugin.runStats.warnings[0], /should have at least 3 item\(s\), got 2/);
+});
+
+test('applySchemaToFile adds requiredIf fields only when the condition holds', async () => {
+  const app = makeApp({
+    'Sources/Paper.md': '---\ntype: source\nkind: Paper\n---\n',
+    'Sources/Post.md': '---\ntype: source\nkind: blog\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['source', parseSchemaFrontmatter({
+      folder: '/Sources',
+      'field.kind': 'paper,book,blog',
+      'field.doi': '',
+      'requiredIf.doi': 'kind=paper, book'
+    }, { type: 'source' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Sources/Paper.md'));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Sources/Post.md'));
+
+  assert.equal(parseFrontmatter(app._files.get('Sources/Paper.md').content).doi, '');
+  assert.equal(Object.hasOwn(parseFrontmatter(app._files.get('Sources/Post.md').content), 'doi'), false);
+});
+
+test('applySchemaToFile fills computed fields and only overwrites when computeOverwrite is set', async () => {
+  const files = {
+    'Meetings/2026-04-06 Sync.md': '---\ntype: meeting\nyear: 1999\n---\n',
+    'Meetings/2026-05-01 Review.md': '---\ntype: meeting\ndate: 2026-05-02\n---\n'
+  };
+  const schemaFm = {
+    folder: '/Meetings',
+    'field.date': 'date',
+    'field.year': 'number',
+    'compute.date': '{{filename|date}}',
+    'compute.year': '{{date|year}}'
+  };
+
+  const app = makeApp(files);
+  const plugin = makePlugin(app, new Map([['meeting', parseSchemaFrontmatter(schemaFm, { type: 'meeting' })]]));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Meetings/2026-04-06 Sync.md'));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Meetings/2026-05-01 Review.md'));
+  let sync = parseFrontmatter(app._files.get('Meetings/2026-04-06 Sync.md').content);
+  assert.equal(sync.date, '2026-04-06');
+  assert.equal(sync.year, 1999);
+  assert.equal(parseFrontmatter(app._files.get('Meetings/2026-05-01 Review.md').content).date, '2026-05-02');
+
+  const overwriteApp = makeApp(files);
+  const overwritePlugin = makePlugin(overwriteApp, new Map([
+    ['meeting', parseSchemaFrontmatter({ ...schemaFm, computeOverwrite: true }, { type: 'meeting' })]
+  ]));
+  await overwritePlugin.applySchemaToFile(overwriteApp.vault.getAbstractFileByPath('Meetings/2026-04-06 Sync.md'));
+  sync = parseFrontmatter(overwriteApp._files.get('Meetings/2026-04-06 Sync.md').content);
+  assert.equal(sync.year, 2026);
+  assert.equal(parseSchemaFrontmatter({ computeOverwrite: true }, { type: 'x' }).fields.has('computeOverwrite'), false);
+});
+
+test('applySchemaToFile leaves notes in any allowed folder and moves others to the default', async () => {
+  const app = makeApp({
+    'People/Other/Bea.md': '---\ntype: colleague\n---\n',
+    'Inbox/Cal.md': '---\ntype: colleague\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['colleague', parseSchemaFrontmatter({ folder: ['/People', '/People/External*'] }, { type: 'colleague' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('People/Other/Bea.md'));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Inbox/Cal.md'));
+
+  assert.ok(app._files.has('People/Other/Bea.md'));
+  assert.ok(app._files.has('People/External/Cal.md'));
+});
+
+test('inferType uses the deepest schema folder containing the note', () => {
+  const app = makeApp({ 'Work/Meetings/2026/Sync.md': '', 'Work/Plan.md': '' });
+  const plugin = makePlugin(app, new Map());
+  plugin.folderTypeMap = new Map([['Work', 'project'], ['Work/Meetings', 'meeting']]);
+
+  assert.equal(plugin.inferType(app.vault.getAbstractFileByPath('Work/Meetings/2026/Sync.md')), 'meeting');
+  assert.equal(plugin.inferType(app.vault.getAbstractFileByPath('Work/Plan.md')), 'project');
+});
+
+test('applySchemaToFile routes notes into templated folders and falls back to the static base', async () => {
+  const app = makeApp({
+    'Meetings/2026-04-06 Sync.md': '---\ntype: meeting\ndate: 2026-04-06\n---\n',
+    'Inbox/Undated.md': '---\ntype: meeting\n---\n',
+    'Projects/Child.md': '---\ntype: project\nparent: "[[Projects/Big: Plan|Plan]]"\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['meeting', parseSchemaFrontmatter({ folder: '/Meetings/{{date:YYYY}}/{{date:MM}}' }, { type: 'meeting' })],
+    ['project', parseSchemaFrontmatter({ folder: '/Projects/{{parent}}' }, { type: 'project' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Meetings/2026-04-06 Sync.md'));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Inbox/Undated.md'));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Projects/Child.md'));
+
+  assert.ok(app._files.has('Meetings/2026/04/2026-04-06 Sync.md'));
+  assert.ok(app._files.has('Meetings/Undated.md'));
+  assert.ok(app._files.has('Projects/Big Plan/Child.md'));
+});
+
+test('resolveSchema merges list-valued extends depth-first, left to right', () => {
+  const app = makeApp({});
+  const plugin = makePlugin(app, new Map([
+    ['taggable', parseSchemaFrontmatter({ 'field.tags': [], 'default.status': 'draft' }, { type: 'taggable' })],
+    ['entity', parseSchemaFrontmatter({ extends: '[[taggable]]', folder: '/Entities', 'default.status': 'active' }, { type: 'entity' })],
+    ['dated', parseSchemaFrontmatter({ extends: '[[taggable]]', folder: '/Dated', prependDateToTitle: true, 'field.date*': 'date' }, { type: 'dated' })],
+    ['colleague', parseSchemaFrontmatter({ extends: ['[[entity]]', '[[dated]]'], 'field.employer': '' }, { type: 'colleague' })]
+  ]));
+
+  const resolved = plugin.resolveSchema('colleague');
+  assert.equal(JSON.stringify(plugin.schemas.get('colleague').parents), JSON.stringify(['entity', 'dated']));
+  assert.equal(resolved.folder, 'Dated');
+  assert.equal(resolved.prependDateToTitle, true);
+  assert.equal(resolved.fields.get('status').defaultValue, 'active');
+  assert.equal(JSON.stringify([...resolved.required].sort()), JSON.stringify(['date', 'type']));
+  assert.ok(resolved.fields.has('tags') && resolved.fields.has('employer'));
+});
+
+test('child schemas can unset inherited fields and pair rules or make them optional', async () => {
+  const app = makeApp({
+    'Entities/Acme.md': '---\ntype: company\ncapital: ""\nparent: "[[Group]]"\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['entity', parseSchemaFrontmatter({
+      'field.capital': '',
+      'field.region*': '',
+      'field.parent': '',
+      'default.aliases': [],
+      'pair.parent': 'entity.children'
+    }, { type: 'entity' })],
+    ['company', parseSchemaFrontmatter({
+      extends: '[[entity]]',
+      folder: '/Entities',
+      'unset.capital': true,
+      'unset.pair.parent': true,
+      'optional.region': true
+    }, { type: 'company' })]
+  ]));
+
+  const resolved = plugin.resolveSchema('company');
+  assert.equal(resolved.fields.has('capital'), false);
+  assert.equal(resolved.fields.has('region'), true);
+  assert.equal(resolved.required.has('region'), false);
+  assert.equal(resolved.pairRules.length, 0);
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Entities/Acme.md'));
+  const fm = parseFrontmatter(app._files.get('Entities/Acme.md').content);
+  assert.equal(Object.hasOwn(fm, 'capital'), false);
+  assert.equal(Object.hasOwn(fm, 'region'), false);
+  assert.equal(fm.parent, '[[Group]]');
+});
+
+test('applySchemaToFile rewrites enum aliases to canonical values, element-wise for arrays', async () => {
+  const app = makeApp({
+    'Projects/Alpha.md': '---\ntype: project\nstatus: In Progress\nstages:\n  - wip\n  - Review\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['project', parseSchemaFrontmatter({
+      folder: '/Projects',
+      'field.status': 'active,done',
+      'alias.status': 'wip=active, in progress=active, complete=done',
+      'field.stages': ['draft', 'active', 'review'],
+      'alias.stages': ['wip=active']
+    }, { type: 'project' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Projects/Alpha.md'));
+
+  const fm = parseFrontmatter(app._files.get('Projects/Alpha.md').content);
+  assert.equal(fm.status, 'active');
+  assert.equal(JSON.stringify(fm.stages), JSON.stringify(['active', 'review']));
+});
+
+test('applySchemaToFile applies schema-declared migrations', async () => {
+  const app = makeApp({
+    'Entities/Body.md': '---\ntype: entity-body\nfix_notes: check\nschema_notes: keep\nold_name: Acme\nneeds_review: true\nstatus: Paused\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['entity', parseSchemaFrontmatter({
+      folder: '/Entities',
+      'field.status': 'active,draft',
+      'migrate.type.entity-body': '[[entity]]',
+      'migrate.rename.fix_notes': 'schema_notes',
+      'migrate.rename.old_name': 'name',
+      'migrate.values.status': 'paused=draft',
+      'migrate.drop': ['needs_review']
+    }, { type: 'entity' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Entities/Body.md'));
+
+  const fm = parseFrontmatter(app._files.get('Entities/Body.md').content);
+  assert.equal(fm.type, 'entity');
+  assert.equal(fm.schema_notes, 'keep');
+  assert.equal(fm.name, 'Acme');
+  assert.equal(fm.status, 'draft');
+  for (const field of ['fix_notes', 'old_name', 'needs_review']) assert.equal(Object.hasOwn(fm, field), false);
+});
+
+test('applySchemaToFile archives notes by the inherited archive rule unless a child opts out', async () => {
+  const app = makeApp({
+    'Projects/Old.md': '---\ntype: project\nstatus: Cancelled\n---\n',
+    'Projects/Live.md': '---\ntype: project\nstatus: active\n---\n',
+    'Tasks/Chore.md': '---\ntype: task\nstatus: done\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['work', parseSchemaFrontmatter({
+      'archive.when': 'status in done, cancelled',
+      'archive.folder': '/Archive/Work'
+    }, { type: 'work' })],
+    ['project', parseSchemaFrontmatter({ extends: '[[work]]', folder: '/Projects' }, { type: 'project' })],
+    ['task', parseSchemaFrontmatter({ extends: '[[work]]', folder: '/Tasks', 'archive.folder': 'none' }, { type: 'task' })]
+  ]));
+
+  for (const path of ['Projects/Old.md', 'Projects/Live.md', 'Tasks/Chore.md']) {
+    await plugin.applySchemaToFile(app.vault.getAbstractFileByPath(path));
+  }
+
+  assert.ok(app._files.has('Archive/Work/Old.md'));
+  assert.ok(app._files.has('Projects/Live.md'));
+  assert.ok(app._files.has('Tasks/Chore.md'));
+});
+
+test('applySchemaToFile renames notes by titleTemplate when title renames are enabled', async () => {
+  const app = makeApp({
+    'People/jd.md': '---\ntype: person\nlastName: Doe\nfirstName: Jane\n---\n',
+    'Meetings/2026-01-01 Sync.md': '---\ntype: meeting\ndate: 2026-01-02\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['person', parseSchemaFrontmatter({ folder: '/People', titleTemplate: '{{lastName}}, {{firstName}}' }, { type: 'person' })],
+    ['meeting', parseSchemaFrontmatter({ folder: '/Meetings', titleTemplate: '{{date}} {{title}}' }, { type: 'meeting' })]
+  ]), { enableDatePrefixRename: true });
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('People/jd.md'));
+  const meeting = await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Meetings/2026-01-01 Sync.md'));
+  await plugin.applySchemaToFile(meeting);
+
+  assert.ok(app._files.has('People/Doe, Jane.md'));
+  assert.ok(app._files.has('Meetings/2026-01-02 Sync.md'));
+  assert.equal(plugin.runStats.renamed, 2);
+});
+
+test('applySchemaToFile refines a note to the subtype whose match conditions hold', async () => {
+  const app = makeApp({
+    'Sources/Paper.md': '---\ntype: source\nkind: Paper\n---\n',
+    'Sources/Post.md': '---\ntype: source\nkind: blog\n---\n',
+    'Sources/Untyped.md': '---\nkind: paper\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['source', parseSchemaFrontmatter({ folder: '/Sources', 'field.kind': '' }, { type: 'source' })],
+    ['paper', parseSchemaFrontmatter({ extends: '[[source]]', 'match.kind': 'paper', 'field.doi*': '' }, { type: 'paper' })]
+  ]));
+  plugin.folderTypeMap = new Map([['Sources', 'source']]);
+
+  for (const path of ['Sources/Paper.md', 'Sources/Post.md', 'Sources/Untyped.md']) {
+    await plugin.applySchemaToFile(app.vault.getAbstractFileByPath(path));
+  }
+
+  const paper = parseFrontmatter(app._files.get('Sources/Paper.md').content);
+  assert.equal(paper.type, 'source');
+  assert.equal(paper.doi, '');
+  assert.equal(Object.hasOwn(parseFrontmatter(app._files.get('Sources/Post.md').content), 'doi'), false);
+  assert.equal(parseFrontmatter(app._files.get('Sources/Untyped.md').content).doi, '');
+});
+
+test('applySchemaToFile moves or drops inherited deprecated fields', async () => {
+  const app = makeApp({
+    'Projects/A.md': '---\ntype: subproject\nowner: Ann\nlegacy: x\ncode: 12\n---\n',
+    'Projects/B.md': '---\ntype: subproject\nowner: Ann\nlead: Bob\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['project', parseSchemaFrontmatter({ folder: '/Projects', 'field.owner*': '', 'deprecated.owner': 'lead', 'deprecated.legacy': 'drop' }, { type: 'project' })],
+    ['subproject', parseSchemaFrontmatter({ extends: '[[project]]', 'deprecated.code': 'replaced by the id field' }, { type: 'subproject' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Projects/A.md'));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Projects/B.md'));
+
+  assert.equal(JSON.stringify(parseFrontmatter(app._files.get('Projects/A.md').content)), JSON.stringify({ type: 'subproject', code: 12, lead: 'Ann' }));
+  assert.equal(JSON.stringify(parseFrontmatter(app._files.get('Projects/B.md').content)), JSON.stringify({ type: 'subproject', owner: 'Ann', lead: 'Bob' }));
+  assert.equal(plugin.runStats.warnings.length, 2);
+});
+
+test('applySchemaToFile applies the inherited additionalFields policy', async () => {
+  const app = makeApp({
+    'Projects/A.md': '---\ntype: project\nstatus: active\ncapital: Paris\ncssclasses: [wide]\n---\n',
+    'Projects/B.md': '---\ntype: subproject\nstatus: active\ncapital: Paris\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['project', parseSchemaFrontmatter({ folder: '/Projects', 'field.status': 'active,done', additionalFields: 'remove' }, { type: 'project' })],
+    ['subproject', parseSchemaFrontmatter({ extends: '[[project]]', additionalFields: 'warn' }, { type: 'subproject' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Projects/A.md'));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Projects/B.md'));
+
+  assert.equal(JSON.stringify(parseFrontmatter(app._files.get('Projects/A.md').content)), JSON.stringify({ type: 'project', status: 'active', cssclasses: ['wide'] }));
+  assert.equal(parseFrontmatter(app._files.get('Projects/B.md').content).capital, 'Paris');
+  assert.equal(JSON.stringify(plugin.runStats.warnings), JSON.stringify(["Undeclared field 'capital' on Projects/B.md"]));
+});
+
+test('applySchemaToFile shows field descriptions for added required placeholders', async () => {
+  const { Notice } = require('./obsidian-stub.cjs');
+  const app = makeApp({
+    'Entities/UNDP.md': '---\ntype: organ\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['organ', parseSchemaFrontmatter({
+      folder: '/Entities',
+      'field.intergovs*': [],
+      'describe.intergovs': 'Intergovernmental bodies the organ reports to',
+      'example.intergovs': '[[ECOSOC]]',
+      'field.acronym*': '',
+      'describe.status': 'Lifecycle state'
+    }, { type: 'organ' })]
+  ]));
+  Notice.shown.length = 0;
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Entities/UNDP.md'));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Entities/UNDP.md'));
+
+  assert.equal(JSON.stringify(Notice.shown), JSON.stringify(['UNDP needs:\nintergovs: Intergovernmental bodies the organ reports to (e.g. [[ECOSOC]])']));
+});
+
+test('applySchemaToFile warns about notes typed with an abstract schema', async () => {
+  const app = makeApp({
+    'Logs/L1.md': '---\ntype: log\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['log', parseSchemaFrontmatter({ abstract: true, folder: '/Logs', 'field.date*': 'date' }, { type: 'log' })],
+    ['worklog', parseSchemaFrontmatter({ extends: '[[log]]', folder: '/Logs/Work' }, { type: 'worklog' })],
+    ['meeting', parseSchemaFrontmatter({ folder: '/Meetings' }, { type: 'meeting' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Logs/L1.md'));
+
+  assert.equal(JSON.stringify(plugin.runStats.warnings), JSON.stringify(["'Logs/L1.md' uses abstract type 'log'; use one of: 'worklog'"]));
+});
+
+test('applySchemaToFile infers missing types from tags, folders and filenames in that order', async () => {
+  const app = makeApp({
+    'Inbox/Call.md': '---\ntags: [type/meeting]\n---\n',
+    'Inbox/2026-02-03.md': 'x\n',
+    'Meetings/2026-02-04.md': 'x\n',
+    'Inbox/Misc.md': 'x\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['meeting', parseSchemaFrontmatter({ folder: '/Meetings', 'inferFrom.tag': 'meeting' }, { type: 'meeting' })],
+    ['daily', parseSchemaFrontmatter({ folder: '/Dailies', 'inferFrom.filename': '^\\d{4}-\\d{2}-\\d{2}$' }, { type: 'daily' })]
+  ]));
+  plugin.folderTypeMap = new Map([['Meetings', 'meeting'], ['Dailies', 'daily']]);
+
+  for (const path of ['Inbox/Call.md', 'Inbox/2026-02-03.md', 'Meetings/2026-02-04.md', 'Inbox/Misc.md']) {
+    await plugin.applySchemaToFile(app.vault.getAbstractFileByPath(path));
+  }
+
+  assert.equal(parseFrontmatter(app._files.get('Meetings/Call.md').content).type, 'meeting');
+  assert.equal(parseFrontmatter(app._files.get('Dailies/2026-02-03.md').content).type, 'daily');
+  assert.equal(parseFrontmatter(app._files.get('Meetings/2026-02-04.md').content).type, 'meeting');
+  assert.equal(app._files.get('Inbox/Misc.md').content, 'x\n');
+  assert.equal(JSON.stringify(plugin.runStats.warnings), JSON.stringify([
+    "Type inference disagrees for 'Meetings/2026-02-04.md': folder -> meeting; filename -> daily (using 'meeting')"
+  ]));
+});
+
+test('applySchemaToFile reports failed cross-field checks by name', async () => {
+  const app = makeApp({
+    'Events/Launch.md': '---\ntype: event\nstart: 2026-03-10\nend: 2026-03-08\nstatus: open\ncompleted: 2026-03-09\n---\n',
+    'Events/Review.md': '---\ntype: event\nstart: 2026-03-10\nend: 2026-03-12\nstatus: Done\ncompleted: 2026-03-12\nurl: https://example.org\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['item', parseSchemaFrontmatter({ 'check.completedWhenDone': "completed implies status == 'done'" }, { type: 'item' })],
+    ['event', parseSchemaFrontmatter({
+      extends: '[[item]]',
+      folder: '/Events',
+      'check.endAfterStart': 'end >= start',
+      'check.urlOrDoi': 'url xor doi',
+      'check.broken': 'end >='
+    }, { type: 'event' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Events/Launch.md'));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Events/Review.md'));
+
+  assert.equal(JSON.stringify(plugin.runStats.warnings), JSON.stringify([
+    "Check 'completedWhenDone' failed on Events/Launch.md: completed implies status == 'done'",
+    "Check 'endAfterStart' failed on Events/Launch.md: end >= start",
+    "Check 'urlOrDoi' failed on Events/Launch.md: url xor doi"
+  ]));
+});
+
+test('applySchemaToFile resolves default tokens against the note and settings', async () => {
+  const app = makeApp({
+    'Meetings/2026-04-06 Sync.md': '---\ntype: meeting\n---\n',
+    'Meetings/Retro.md': '---\ntype: meeting\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['meeting', parseSchemaFrontmatter({
+      folder: '/Meetings',
+      'field.date*': 'date',
+      'default.date': '{{filename.date}}',
+      'default.owner': '{{setting.author}}',
+      'default.area': '{{folder}}'
+    }, { type: 'meeting' })]
+  ]), { author: 'Ada' });
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Meetings/2026-04-06 Sync.md'));
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Meetings/Retro.md'));
+
+  const dated = parseFrontmatter(app._files.get('Meetings/2026-04-06 Sync.md').content);
+  assert.equal(dated.date, '2026-04-06');
+  assert.equal(dated.owner, 'Ada');
+  assert.equal(dated.area, 'Meetings');
+  assert.equal(parseFrontmatter(app._files.get('Meetings/Retro.md').content).date, '');
+});
+
+test('applySchemaToFile keeps fields read by checks under additionalFields: remove', async () => {
+  const app = makeApp({
+    'Events/Launch.md': '---\ntype: event\nstart: 2026-03-10\nend: 2026-03-08\nstray: x\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['event', parseSchemaFrontmatter({ folder: '/Events', additionalFields: 'remove', 'check.endAfterStart': 'not (end < start)' }, { type: 'event' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Events/Launch.md'));
+
+  const fm = parseFrontmatter(app._files.get('Events/Launch.md').content);
+  assert.equal(JSON.stringify(Object.keys(fm)), JSON.stringify(['type', 'start', 'end']));
+  assert.equal(JSON.stringify(plugin.runStats.warnings), JSON.stringify([
+    "Check 'endAfterStart' failed on Events/Launch.md: not (end < start)"
+  ]));
+});
+
+test('applySchemaToFile keeps requiredIf and archive.when condition fields under additionalFields: remove', async () => {
+  const app = makeApp({
+    'Tasks/Ship.md': '---\ntype: task\nstate: done\nphase: open\nstray: x\n---\n'
+  });
+  const plugin = makePlugin(app, new Map([
+    ['task', parseSchemaFrontmatter({
+      folder: '/Tasks',
+      additionalFields: 'remove',
+      'field.completed': '',
+      'requiredIf.completed': 'state=done',
+      'archive.when': 'phase in closed'
+    }, { type: 'task' })]
+  ]));
+
+  await plugin.applySchemaToFile(app.vault.getAbstractFileByPath('Tasks/Ship.md'));
+
+  const fm = parseFrontmatter(app._files.get('Tasks/Ship.md').content);
+  assert.equal(JSON.stringify(Object.keys(fm).sort()), JSON.stringify(['completed', 'phase', 'state', 'type']));
+});
+
+test('loadSettings drops the retired archiveFolder setting and tells the user', async () => {
+  const { Notice } = require('./obsidian-stub.cjs');
+  const plugin = makePlugin(makeApp({}), new Map());
+  let saved = null;
+  plugin.loadData = async () => ({ archiveFolder: 'Done', runOnModify: true });
+  plugin.saveData = async (data) => {
+    saved = data;
+  };
+  Notice.shown.length = 0;
+
+  await plugin.loadSettings();
+
+  assert.equal(plugin.settings.archiveFolder, undefined);
+  assert.equal(plugin.settings.runOnModify, true);
+  assert.equal('archiveFolder' in saved, false);
+  assert.equal(Notice.shown.length, 1);
+  assert.match(Notice.shown[0], /Archive folder setting \('Done'\) was removed/);
+});
@@ -2,10 +2,10 @@ const fs = require('node:fs');
 const path = require('node:path');
 const vm = require('node:vm');
 
-function loadPluginHelpers() {
-  const pluginPath = path.resolve(__dirname, '../obsidian-plugin/mobile-schema-typer/main.js');
-  const source = fs.readFileSync(pluginPath, 'utf8');
-  const sandbox = {
+const pluginPath = path.resolve(__dirname, '../obsidian-plugin/mobile-schema-typer/main.js');
+
+function createSandbox() {
+  return {
     module: { exports: {} },
     exports: {},
     require: (id) => {
@@ -20,8 +20,107 @@ function loadPluginHelpers() {
     Date,
     JSON
   };
+}
+
+function loadPluginModule() {
+  const source = fs.readFileSync(pluginPath, 'utf8');
+  const sandbox = createSandbox();
   vm.runInNewContext(source, sandbox, { filename: pluginPath });
-  return sandbox.module.exports._test;
+  return sandbox.module.exports;
+}
+
+function loadPluginHelpers() {
+  return loadPluginModule()._test;
+}
+
+function makeFile(filePath) {
+  const parts = filePath.split('/');
+  const name = parts[parts.length - 1];
+  const basename = name.replace(/\.md$/i, '');
+  const parentPath = parts.slice(0, -1).join('/');
+  return {
+    path: filePath,
+    name,
+    basename,
+    extension: 'md',
+    parent: { path: parentPath }
+  };
+}
+
+function makeApp(initialFiles = {}) {
+  const files = new Map();
+  const folders = new Set();
+
+  for (const [filePath, content] of Object.entries(initialFiles)) {
+    files.set(filePath, { file: makeFile(filePath), content });
+  }
+
+  const vault = {
+    getMarkdownFiles() {
+      return [...files.values()].map((entry) => entry.file);
+    },
+    getAbstractFileByPath(filePath) {
+      return files.get(filePath)?.file || null;
+    },
+    async cachedRead(file) {
+      return files.get(file.path)?.content || '';
+    },
+    async modify(file, content) {
+      const entry = files.get(file.path);
+      if (!entry) throw new Error(`Missing file: ${file.path}`);
+      entry.content = content;
+    },
+    async createFolder(folderPath) {
+      folders.add(folderPath);
+    },
+    async create(filePath, content) {
+      const file = makeFile(filePath);
+      files.set(filePath, { file, content });
+      return file;
+    }
+  };
+
+  const fileManager = {
+    async renameFile(file, targetPath) {
+      const entry = files.get(file.path);
+      if (!entry) throw new Error(`Missing file: ${file.path}`);
+      files.delete(file.path);
+      const renamed = makeFile(targetPath);
+      files.set(targetPath, { file: renamed, content: entry.content });
+      return renamed;
+    }
+  };
+
+  return {
+    vault,
+    fileManager,
+    workspace: { getActiveFile() { return null; } },
+    _files: files,
+    _folders: folders
+  };
+}
+
+function makePlugin(app, schemas, settings = {}) {
+  const PluginClass = loadPluginModule();
+  const plugin = new PluginClass();
+  plugin.app = app;
+  plugin.settings = {
+    enabled: true,
+    runOnModify: false,
+    debounceMs: 1200,
+    schemasFolder: 'Schemas',
+    excludedFolders: ['Attachments', 'Schemas', 'Templates'],
+    enableDatePrefixRename: false,
+    verboseLogging: false,
+    pruneManagedBacklinks: false,
+    ...settings
+  };
+  plugin.schemas = schemas;
+  plugin.schemasDirty = false;
+  plugin.schemasReady = true;
+  plugin.runStats = loadPluginHelpers().createRunStats();
+  plugin.selfTouchedUntil = new Map();
+  return plugin;
 }
 
-module.exports = { loadPluginHelpers };
+module.exports = { loadPluginHelpers, makeApp, makePlugin };
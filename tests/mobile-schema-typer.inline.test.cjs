@@ -106,7 +106,6 @@ test('expandInlineTypesInFile creates typed notes and replaces shorthand with li
     debounceMs: 1200,
     schemasFolder: 'Schemas',
     excludedFolders: ['Attachments', 'Schemas', 'Templates'],
-    archiveFolder: 'Archive',
     enableDatePrefixRename: false,
     verboseLogging: false,
     pruneManagedBacklinks: false
@@ -152,7 +151,6 @@ test('expandInlineTypesInFile reuses existing compatible notes and skips conflic
     debounceMs: 1200,
     schemasFolder: 'Schemas',
     excludedFolders: ['Attachments', 'Schemas', 'Templates'],
-    archiveFolder: 'Archive',
     enableDatePrefixRename: false,
     verboseLogging: false,
     pruneManagedBacklinks: false
@@ -177,3 +175,70 @@ test('expandInlineTypesInFile reuses existing compatible notes and skips conflic
   const updated = app._files.get('Inbox/Test.md').content;
   assert.equal(updated, '- [[Jane Doe]]\n- Jane Doe #organ\n');
 });
+
+test('expandInlineTypesInFile seeds created notes from the schema template', async () => {
+  const app = makeApp({
+    'Inbox/Test.md': '- Budget review #meeting\n',
+    'Templates/meeting.md': '---\ntags: [template]\n---\n# {{title}}\n\nFrom {{source}} on {{date}}. {{tp.file.title}}\n'
+  });
+
+  const plugin = new PluginClass();
+  plugin.app = app;
+  plugin.settings = {
+    enabled: true,
+    runOnModify: false,
+    debounceMs: 1200,
+    schemasFolder: 'Schemas',
+    excludedFolders: ['Attachments', 'Schemas', 'Templates'],
+    enableDatePrefixRename: false,
+    verboseLogging: false,
+    pruneManagedBacklinks: false
+  };
+  plugin.schemas = new Map([
+    ['meeting', parseSchemaFrontmatter({ folder: '/Meetings', template: '[[Templates/meeting]]' }, { type: 'meeting' })]
+  ]);
+  plugin.schemasDirty = false;
+  plugin.schemasReady = true;
+  plugin.runStats = { updated: 0, renamed: 0, moved: 0 };
+  plugin.selfTouchedUntil = new Map();
+
+  const file = app.vault.getAbstractFileByPath('Inbox/Test.md');
+  const summary = await plugin.expandInlineTypesInFile(file);
+
+  assert.equal(summary.created, 1);
+  const content = app._files.get('Meetings/Budget review.md').content;
+  assert.match(content, /^---\ntype: meeting\n---\n# Budget review\n\nFrom \[\[Inbox\/Test\]\] on \d{4}-\d{2}-\d{2}\. \{\{tp\.file\.title\}\}\n$/);
+});
+
+test('expandInlineTypesInFile never offers abstract types', async () => {
+  const app = makeApp({
+    'Inbox/Test.md': '- Daily standup #log\n- Sprint notes #worklog\n'
+  });
+
+  const plugin = new PluginClass();
+  plugin.app = app;
+  plugin.settings = {
+    enabled: true,
+    runOnModify: false,
+    debounceMs: 1200,
+    schemasFolder: 'Schemas',
+    excludedFolders: ['Attachments', 'Schemas', 'Templates'],
+    enableDatePrefixRename: false,
+    verboseLogging: false,
+    pruneManagedBacklinks: false
+  };
+  plugin.schemas = new Map([
+    ['log', parseSchemaFrontmatter({ abstract: true, folder: '/Logs' }, { type: 'log' })],
+    ['worklog', parseSchemaFrontmatter({ extends: '[[log]]', folder: '/Logs/Work' }, { type: 'worklog' })]
+  ]);
+  plugin.schemasDirty = false;
+  plugin.schemasReady = true;
+  plugin.runStats = { updated: 0, renamed: 0, moved: 0 };
+  plugin.selfTouchedUntil = new Map();
+
+  const file = app.vault.getAbstractFileByPath('Inbox/Test.md');
+  const summary = await plugin.expandInlineTypesInFile(file);
+
+  assert.equal(summary.candidates, 1);
+  assert.equal(app._files.get('Inbox/Test.md').content, '- Daily standup #log\n- [[Sprint notes]]\n');
+});
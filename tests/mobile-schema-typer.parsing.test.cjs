@@ -5,12 +5,17 @@ const { loadPluginHelpers } = require('./mobile-schema-typer.helpers.cjs');
 const {
   parseFrontmatter,
   parseScalar,
+  parseSchemaFolders,
   parsePairValue,
   parseLinkPairValue,
   parseOptionalBool,
   parseFieldDefinition,
   fieldDefinitionFromDefault,
   defaultValueForMissing,
+  resolveDefaultValue,
+  coerceTypedValue,
+  renderTemplate,
+  renderTitleTemplate,
   normalizeWikiLinkValue,
   parseWikiLinkTarget,
   extractLinkTargets,
@@ -35,6 +40,21 @@ body`);
   assert.equal(fm.active, true);
 });
 
+test('parseFrontmatter reads block lists written without an inline []', () => {
+  const fm = parseFrontmatter(`---
+attendees:
+  - "[[Alice]]"
+  - "[[Bob]]"
+empty:
+status: active
+---
+`);
+
+  assert.equal(JSON.stringify(fm.attendees), JSON.stringify(['[[Alice]]', '[[Bob]]']));
+  assert.equal(fm.empty, '');
+  assert.equal(fm.status, 'active');
+});
+
 test('parseScalar handles quotes, booleans, nulls, and numbers', () => {
   assert.equal(parseScalar('"hello"'), 'hello');
   assert.equal(parseScalar("'hello'"), 'hello');
@@ -46,6 +66,36 @@ test('parseScalar handles quotes, booleans, nulls, and numbers', () => {
   assert.equal(parseScalar('plain'), 'plain');
 });
 
+test('parseFrontmatter reads inline [a, b] lists in every field', () => {
+  const fm = parseFrontmatter(`---
+folder: [/People, /People/External*]
+tags: [alpha, "beta gamma", 3]
+status: [wip]
+blank: [ ]
+owner: [[Alice]]
+quoted: "[not, a list]"
+title: [Draft] plan
+---
+`);
+
+  assert.equal(JSON.stringify(fm.folder), JSON.stringify(['/People', '/People/External*']));
+  assert.equal(JSON.stringify(fm.tags), JSON.stringify(['alpha', 'beta gamma', 3]));
+  assert.equal(JSON.stringify(fm.status), JSON.stringify(['wip']));
+  assert.equal(JSON.stringify(fm.blank), JSON.stringify([]));
+  assert.equal(fm.owner, '[[Alice]]');
+  assert.equal(fm.quoted, '[not, a list]');
+  assert.equal(fm.title, '[Draft] plan');
+});
+
+test('parseSchemaFolders keeps full paths and picks the starred default', () => {
+  assert.equal(JSON.stringify(parseSchemaFolders('/Work/Meetings/')), JSON.stringify({ folder: 'Work/Meetings', folders: ['Work/Meetings'] }));
+  assert.equal(
+    JSON.stringify(parseSchemaFolders(['/People', '/People/External*'])),
+    JSON.stringify({ folder: 'People/External', folders: ['People/External', 'People'] })
+  );
+  assert.equal(JSON.stringify(parseSchemaFolders('/')), JSON.stringify({ folder: null, folders: [] }));
+});
+
 test('pair parsers support directional and legacy formats', () => {
   assert.equal(JSON.stringify(parsePairValue('project.meetings')), JSON.stringify({ targetType: 'project', targetField: 'meetings' }));
   assert.equal(JSON.stringify(parseLinkPairValue('employer <-> employees')), JSON.stringify({ left: 'employer', right: 'employees' }));
@@ -69,6 +119,56 @@ test('field definition helpers infer kinds and defaults', () => {
   assert.equal(defaultValueForMissing({ kind: 'string', defaultDefined: false }), '');
 });
 
+test('resolveDefaultValue fills date, folder and setting tokens', () => {
+  const context = { path: 'Meetings/2026-04-06 Sync.md', settings: { author: 'Ada' } };
+  assert.match(resolveDefaultValue('{{today}}', context), /^\d{4}-\d{2}-\d{2}$/);
+  assert.match(resolveDefaultValue('{{now}}', context), /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/);
+  assert.equal(resolveDefaultValue('{{filename.date}}', context), '2026-04-06');
+  assert.equal(resolveDefaultValue('{{folder|lower}}', context), 'meetings');
+  assert.equal(JSON.stringify(resolveDefaultValue(['[[{{setting.author}}]]'], context)), JSON.stringify(['[[Ada]]']));
+  assert.equal(resolveDefaultValue('draft', context), 'draft');
+  assert.equal(resolveDefaultValue('{{setting.author}}', { path: 'Sync.md', settings: {} }), undefined);
+  assert.equal(defaultValueForMissing({ kind: 'string', defaultDefined: true, defaultValue: '{{folder}}' }, { path: 'Sync.md' }), '');
+});
+
+test('coerceTypedValue normalizes safe conversions and rejects the rest', () => {
+  assert.equal(parseFieldDefinition('date').kind, 'date');
+  assert.equal(parseFieldDefinition('Number').kind, 'number');
+  assert.equal(coerceTypedValue('date', '2026/04/06'), '2026-04-06');
+  assert.equal(coerceTypedValue('date', '2026-02-30'), undefined);
+  assert.equal(coerceTypedValue('datetime', '2026-04-06 9:30'), '2026-04-06T09:30');
+  assert.equal(coerceTypedValue('number', '42.5'), 42.5);
+  assert.equal(coerceTypedValue('number', '1,200'), undefined);
+  assert.equal(coerceTypedValue('boolean', 'no'), false);
+  assert.equal(coerceTypedValue('url', 'www.example.org'), 'https://www.example.org');
+  assert.equal(coerceTypedValue('url', 'example'), undefined);
+});
+
+test('renderTemplate applies filters and gives up on missing values', () => {
+  const values = { filename: '2026-05-03 Kickoff', start: '2026/11/2', owner: 'Ada', tags: ['a', 'b'] };
+  const lookup = (name) => values[name];
+  assert.equal(renderTemplate('{{filename|date}}', lookup), '2026-05-03');
+  assert.equal(renderTemplate('{{start|year}}-{{start | quarter}}', lookup), '2026-Q4');
+  assert.equal(renderTemplate('{{owner|upper}}: {{tags}}', lookup), 'ADA: a, b');
+  assert.equal(renderTemplate('{{start:YYYY/MM}}-Q{{start:Q}}', lookup), '2026/11-Q4');
+  assert.equal(renderTemplate('{{owner|date}}', lookup), null);
+  assert.equal(renderTemplate('{{owner:YYYY}}', lookup), null);
+  assert.equal(renderTemplate('{{missing}}', lookup), null);
+});
+
+test('renderTitleTemplate re-derives the title so it can be applied repeatedly', () => {
+  const values = { date: '2026-01-02', project: '[[Projects/Alpha: One]]', lastName: 'Doe', firstName: 'Jane' };
+  const lookup = (name) => values[name];
+  assert.equal(renderTitleTemplate('{{date}} {{title}}', lookup, 'Sync'), '2026-01-02 Sync');
+  assert.equal(renderTitleTemplate('{{date}} {{title}}', lookup, '2026-01-02 Sync'), '2026-01-02 Sync');
+  assert.equal(renderTitleTemplate('{{date}} {{title}}', lookup, '2025-12-31 Sync'), '2026-01-02 Sync');
+  assert.equal(renderTitleTemplate('{{date}} {{project}} - {{title}}', lookup, 'Sync'), '2026-01-02 Alpha One - Sync');
+  assert.equal(renderTitleTemplate('{{date}} {{project}} - {{title}}', lookup, '2026-01-02 Alpha One - Sync'), '2026-01-02 Alpha One - Sync');
+  assert.equal(renderTitleTemplate('{{lastName}}, {{firstName}}', lookup, 'anything'), 'Doe, Jane');
+  assert.equal(renderTitleTemplate('{{title}}?', lookup, 'Why: now'), 'Why now');
+  assert.equal(renderTitleTemplate('{{missing}} {{title}}', lookup, 'Sync'), null);
+});
+
 test('wikilink helpers normalize and extract targets', () => {
   assert.equal(normalizeWikiLinkValue('Note'), '[[Note]]');
   assert.equal(normalizeWikiLinkValue('[[Note|Alias]]'), '[[Note]]');
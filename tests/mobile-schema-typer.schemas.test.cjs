@@ -21,3 +21,18 @@ test('parseSchemaFrontmatter can use filename-derived type override', () => {
   assert.equal(schema.pairRulesByField.entity.targetType, 'entity');
   assert.equal(schema.pairRulesByField.entity.targetField, 'members');
 });
+
+test('parseSchemaFrontmatter collects per-field rules and ignores unknown namespaced keys', () => {
+  const schema = parseSchemaFrontmatter(
+    {
+      'field.country': '',
+      'pattern.country': '^[A-Z]{2}$',
+      'other.country': 'x'
+    },
+    { type: 'place' }
+  );
+
+  assert.equal(schema.fieldRules.country.pattern, '^[A-Z]{2}$');
+  assert.equal(schema.fields.has('other.country'), false);
+  assert.equal(schema.fields.has('pattern.country'), false);
+});
@@ -15,8 +15,10 @@ class Setting {
 class Notice {
   constructor(message) {
     this.message = message;
+    Notice.shown.push(message);
   }
 }
+Notice.shown = [];
 function normalizePath(value) {
   return String(value || '').replace(/\\/g, '/').replace(/\/+/g, '/');
 }
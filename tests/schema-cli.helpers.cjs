@@ -0,0 +1,54 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+
+const cliPath = path.resolve(__dirname, '../src/cli.mjs');
+
+// Writes `files` (vault-relative path -> content) into a fresh temporary vault.
+function makeVault(files = {}) {
+  const vault = fs.mkdtempSync(path.join(os.tmpdir(), 'schema-cli-'));
+  for (const [relPath, content] of Object.entries(files)) {
+    const target = path.join(vault, relPath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, content, 'utf8');
+  }
+  return vault;
+}
+
+// Runs the CLI against `vault` and returns its exit status, output and JSON report (if any).
+function runCli(vault, args) {
+  const reportDir = path.join(vault, '.reports');
+  const result = spawnSync(process.execPath, [cliPath, ...args, '--vault', vault, '--report-dir', reportDir], {
+    encoding: 'utf8',
+    timeout: 60000
+  });
+  const mode = args[0] === 'fix' ? 'fix' : 'check';
+  const reportPath = path.join(reportDir, `schema-${mode}-report.json`);
+  return {
+    status: result.status,
+    stdout: result.stdout,
+    stderr: result.stderr,
+    report: fs.existsSync(reportPath) ? JSON.parse(fs.readFileSync(reportPath, 'utf8')) : null
+  };
+}
+
+function readVaultFile(vault, relPath) {
+  return fs.readFileSync(path.join(vault, relPath), 'utf8');
+}
+
+function fileReport(report, relPath) {
+  return report.files.find((entry) => entry.relativePath === relPath);
+}
+
+function removeVault(vault) {
+  fs.rmSync(vault, { recursive: true, force: true });
+}
+
+module.exports = {
+  makeVault,
+  runCli,
+  readVaultFile,
+  fileReport,
+  removeVault
+};
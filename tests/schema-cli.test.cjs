@@ -0,0 +1,771 @@
+const fs = require('node:fs');
+const path = require('node:path');
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { makeVault, runCli, readVaultFile, fileReport, removeVault } = require('./schema-cli.helpers.cjs');
+
+test('fix keeps fields read by check.* under additionalFields: remove', (t) => {
+  const vault = makeVault({
+    'Schemas/event.md': '---\ntype: event\nfolder: /Events\nadditionalFields: remove\ncheck.endAfterStart: end >= start\n---\n',
+    'Events/Launch.md': '---\ntype: event\nstart: 2026-03-10\nend: 2026-03-08\nstray: x\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  const text = readVaultFile(vault, 'Events/Launch.md');
+  assert.match(text, /start: 2026-03-10/);
+  assert.match(text, /end: 2026-03-08/);
+  assert.doesNotMatch(text, /stray/);
+  assert.deepEqual(fileReport(report, 'Events/Launch.md').violations.map((v) => v.rule), ['check/endAfterStart']);
+});
+
+test('fix keeps requiredIf and archive.when condition fields under additionalFields: remove', (t) => {
+  const vault = makeVault({
+    'Schemas/task.md': '---\ntype: task\nfolder: /Tasks\nadditionalFields: remove\nfield.completed: ""\nrequiredIf.completed: state=done\narchive.when: phase in closed\n---\n',
+    'Tasks/Ship.md': '---\ntype: task\nstate: done\nphase: open\nstray: x\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  runCli(vault, ['fix']);
+
+  const text = readVaultFile(vault, 'Tasks/Ship.md');
+  assert.match(text, /state: done/);
+  assert.match(text, /phase: open/);
+  assert.match(text, /completed:/);
+  assert.doesNotMatch(text, /stray/);
+});
+
+const MEETING_WITH_SECTIONS = '---\ntype: meeting\nfolder: /Meetings\nsection.Agenda*: ""\nsection.Decisions: ""\nsection.Actions*: "- [ ] "\n---\n';
+
+test('check reports missing required sections without changing the note', (t) => {
+  const note = '---\ntype: meeting\n---\nIntro\n\n```md\n## Agenda\n```\n\n## actions\n- [ ] Send notes\n';
+  const vault = makeVault({ 'Schemas/meeting.md': MEETING_WITH_SECTIONS, 'Meetings/Sync.md': note });
+  t.after(() => removeVault(vault));
+
+  const { status, report } = runCli(vault, ['check']);
+
+  assert.equal(status, 1);
+  assert.deepEqual(fileReport(report, 'Meetings/Sync.md').violations.map((v) => v.message), [
+    "Missing required section '## Agenda'"
+  ]);
+  assert.equal(readVaultFile(vault, 'Meetings/Sync.md'), note);
+});
+
+test('fix inserts missing required sections before the next declared section', (t) => {
+  const vault = makeVault({
+    'Schemas/meeting.md': MEETING_WITH_SECTIONS,
+    'Meetings/Sync.md': '---\ntype: meeting\n---\nIntro\n\n## Decisions\nShip it\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const first = runCli(vault, ['fix']);
+
+  assert.equal(
+    readVaultFile(vault, 'Meetings/Sync.md'),
+    '---\ntype: meeting\n---\nIntro\n\n## Agenda\n\n## Decisions\nShip it\n\n## Actions\n- [ ]\n'
+  );
+  assert.deepEqual(fileReport(first.report, 'Meetings/Sync.md').violations, []);
+
+  const second = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(second.report, 'Meetings/Sync.md').violations.map((v) => v.message), [
+    "Empty required section '## Agenda'",
+    "Empty required section '## Actions'"
+  ]);
+});
+
+test('check reports declared sections that are out of order', (t) => {
+  const vault = makeVault({
+    'Schemas/meeting.md': MEETING_WITH_SECTIONS,
+    'Meetings/Sync.md': '---\ntype: meeting\n---\n## Actions\n- [x] Done\n\n## AGENDA\n- Budget\n\n## Notes\nfree text\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['check']);
+
+  assert.deepEqual(fileReport(report, 'Meetings/Sync.md').violations.map((v) => v.rule), ['section/order']);
+});
+
+test('check tests every array entry against a pattern with the g flag', (t) => {
+  const vault = makeVault({
+    'Schemas/project.md': '---\ntype: project\nfolder: /Projects\nfield.codes: []\npattern.codes: /^PRJ-\\d+$/g\n---\n',
+    'Projects/Beta.md': '---\ntype: project\ncodes:\n  - PRJ-1\n  - PRJ-2\n  - ABC-3\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['check']);
+
+  assert.deepEqual(fileReport(report, 'Projects/Beta.md').violations.map((v) => v.message), [
+    "'codes' should match pattern /^PRJ-\\d+$/g, got 'ABC-3'"
+  ]);
+});
+
+// The starter schemas from schemas/default, keyed by their vault path.
+function starterSchemaFiles() {
+  const starter = path.resolve(__dirname, '../schemas/default');
+  return Object.fromEntries(
+    fs.readdirSync(starter).map((name) => [`Schemas/${name}`, fs.readFileSync(path.join(starter, name), 'utf8')])
+  );
+}
+
+test('new meeting notes from the starter schemas do not start with an attendee-count violation', (t) => {
+  const vault = makeVault(starterSchemaFiles());
+  t.after(() => removeVault(vault));
+
+  const { status, stdout } = runCli(vault, ['new', 'meeting', 'Budget review']);
+
+  assert.equal(status, 0);
+  assert.match(stdout, /^Created Meetings\//);
+  assert.doesNotMatch(stdout, /attendees/);
+});
+
+const REF_SCHEMAS = {
+  'Schemas/meeting.md': '---\ntype: meeting\nfolder: /Meetings\nfield.attendees: []\nref.attendees: person\n---\n',
+  'Schemas/person.md': '---\ntype: person\nfolder: /People\n---\n',
+  'Schemas/org.md': '---\ntype: org\nfolder: /Orgs\n---\n'
+};
+
+test('check reports unresolved, ambiguous and mistyped ref.* targets', (t) => {
+  const vault = makeVault({
+    ...REF_SCHEMAS,
+    'People/Ann.md': '---\ntype: person\n---\n',
+    'People/Bo.md': '---\ntype: person\n---\n',
+    'Orgs/Bo.md': '---\ntype: org\n---\n',
+    'Orgs/Acme.md': '---\ntype: org\n---\n',
+    'Meetings/Sync.md': '---\ntype: meeting\nattendees:\n  - "[[Ann]]"\n  - "[[Ghost]]"\n  - "[[Bo]]"\n  - "[[Acme]]"\n  - "[[Orgs/Bo]]"\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['check']);
+
+  const violations = fileReport(report, 'Meetings/Sync.md').violations;
+  assert.deepEqual(violations.map((v) => v.rule), ['ref/unresolved', 'ref/ambiguous', 'ref/type-mismatch', 'ref/type-mismatch']);
+  assert.equal(violations[2].message, "Reference 'Acme' in 'attendees' has type 'org', expected 'person' (ref.attendees)");
+
+  const issues = readVaultFile(vault, 'Schemas/meeting.md');
+  assert.match(issues, /### Unresolved reference: attendees/);
+  assert.match(issues, /### Ambiguous reference: attendees/);
+  assert.match(issues, /### Wrong reference type: attendees \(expected person\)/);
+});
+
+test('fix syncs pair.* backlinks through links written as vault paths', (t) => {
+  const vault = makeVault({
+    'Schemas/person.md': '---\ntype: person\nfolder: /People\nfield.employer: ""\npair.employer: org.employees\n---\n',
+    'Schemas/org.md': '---\ntype: org\nfolder: /Orgs\nfield.employees: []\n---\n',
+    'Schemas/project.md': '---\ntype: project\nfolder: /Projects\n---\n',
+    'People/Jane.md': '---\ntype: person\nemployer: "[[Orgs/Acme]]"\n---\n',
+    'Orgs/Acme.md': '---\ntype: org\nemployees: []\n---\n',
+    'Projects/Acme.md': '---\ntype: project\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(report, 'People/Jane.md').violations, []);
+  assert.match(readVaultFile(vault, 'Orgs/Acme.md'), /employees:\n {2}- "\[\[Jane\]\]"/);
+  assert.doesNotMatch(readVaultFile(vault, 'Projects/Acme.md'), /employees/);
+});
+
+test('new refuses a title that another note already uses anywhere in the vault', (t) => {
+  const vault = makeVault({
+    ...REF_SCHEMAS,
+    'People/Ann.md': '---\ntype: person\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { status, stderr } = runCli(vault, ['new', 'meeting', 'ann']);
+
+  assert.equal(status, 1);
+  assert.match(stderr, /A note named 'ann' already exists: 'People\/Ann\.md'/);
+  assert.equal(fs.existsSync(path.join(vault, 'Meetings', 'ann.md')), false);
+});
+
+const TYPED_MEETING_SCHEMA = '---\ntype: meeting\nfolder: /Meetings\nfield.budget: number\nfield.day: date\nfield.starts: datetime\nfield.confidential: boolean\nfield.link: url\n---\n';
+
+test('fix unwraps one-item lists and converts typed scalar fields', (t) => {
+  const vault = makeVault({
+    'Schemas/meeting.md': TYPED_MEETING_SCHEMA,
+    'Meetings/Sync.md': '---\ntype: meeting\nbudget:\n  - "1200"\nday: [2026/4/6]\nstarts: 2026-04-06 9:30\nconfidential: yes\nlink: www.example.org\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  const entry = fileReport(report, 'Meetings/Sync.md');
+  assert.deepEqual(entry.violations, []);
+  assert.deepEqual(entry.fixes, [
+    "coerced 'budget' array->number",
+    "coerced 'confidential' to boolean",
+    "coerced 'day' array->date",
+    "coerced 'day' to date",
+    "coerced 'link' to url",
+    "coerced 'starts' to datetime"
+  ]);
+  assert.equal(
+    readVaultFile(vault, 'Meetings/Sync.md'),
+    '---\ntype: meeting\nbudget: 1200\nconfidential: true\nday: 2026-04-06\nlink: "https://www.example.org"\nstarts: "2026-04-06T09:30"\n---\n'
+  );
+});
+
+test('check reports typed scalar values that cannot be converted', (t) => {
+  const note = '---\ntype: meeting\nbudget: 1,200\nday: 2026-02-30\nstarts: tomorrow\nconfidential: maybe\nlink: not a link\n---\n';
+  const vault = makeVault({ 'Schemas/meeting.md': TYPED_MEETING_SCHEMA, 'Meetings/Bad.md': note });
+  t.after(() => removeVault(vault));
+
+  const { status, report } = runCli(vault, ['check']);
+
+  assert.equal(status, 1);
+  assert.deepEqual(fileReport(report, 'Meetings/Bad.md').violations.map((v) => [v.rule, v.message]), [
+    ['type', "'budget' should be number, got '1,200'"],
+    ['type', "'confidential' should be boolean, got 'maybe'"],
+    ['type', "'day' should be date, got '2026-02-30'"],
+    ['type', "'link' should be url, got 'not a link'"],
+    ['type', "'starts' should be datetime, got 'tomorrow'"]
+  ]);
+  assert.equal(readVaultFile(vault, 'Meetings/Bad.md'), note);
+});
+
+test('a starter project with two parents gets a single type violation', (t) => {
+  const vault = makeVault({
+    ...starterSchemaFiles(),
+    'Projects/Alpha.md': '---\ntype: project\nstatus: active\nparent:\n  - "[[Beta]]"\n  - "[[Gamma]]"\n---\n',
+    'Projects/Beta.md': '---\ntype: project\nstatus: active\n---\n',
+    'Projects/Gamma.md': '---\ntype: project\nstatus: active\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['check']);
+
+  assert.deepEqual(fileReport(report, 'Projects/Alpha.md').violations.map((v) => v.message), ["'parent' should be string"]);
+});
+
+test('fix fills compute.* fields through filters and skips templates with an empty placeholder', (t) => {
+  const vault = makeVault({
+    'Schemas/log.md': '---\ntype: log\nfolder: /Logs\nfield.date: date\ncompute.date: "{{filename|date}}"\ncompute.year: "{{date|year}}"\ncompute.quarter: "{{date|quarter}}"\ncompute.monthDay: "{{date|month}}/{{date|day}}"\ncompute.period: "{{date:YYYY-MM}}"\ncompute.slug: "{{title|trim|lower}}"\ncompute.code: "{{project|upper}}"\n---\n',
+    'Logs/2026-05-14 Retro.md': '---\ntype: log\ntitle: "  Sprint Retro "\n---\n',
+    'Logs/Retro notes.md': '---\ntype: log\ntitle: Notes\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(report, 'Logs/2026-05-14 Retro.md').fixes, [
+    "computed 'date' = '2026-05-14'",
+    "computed 'monthDay' = '05/14'",
+    "computed 'period' = '2026-05'",
+    "computed 'quarter' = 'Q2'",
+    "computed 'slug' = 'sprint retro'",
+    "computed 'year' = '2026'"
+  ]);
+  assert.doesNotMatch(readVaultFile(vault, 'Logs/2026-05-14 Retro.md'), /code:/);
+  assert.equal(readVaultFile(vault, 'Logs/Retro notes.md'), '---\ntype: log\ntitle: Notes\nslug: notes\n---\n');
+});
+
+test('unique.*: type compares list entries across the type and its subtypes only', (t) => {
+  const vault = makeVault({
+    'Schemas/entity.md': '---\ntype: entity\nfolder: /Entities\nfield.aliases: []\nunique.aliases: type\n---\n',
+    'Schemas/org.md': '---\ntype: org\nextends: "[[entity]]"\nfolder: /Entities\n---\n',
+    'Schemas/person.md': '---\ntype: person\nfolder: /People\nfield.aliases: []\n---\n',
+    'Entities/United Nations.md': '---\ntype: entity\naliases:\n  - UN\n  - UNO\n---\n',
+    'Entities/UNO Office.md': '---\ntype: entity\naliases:\n  - uno\n---\n',
+    'Entities/UN Org.md': '---\ntype: org\naliases:\n  - "[[un]]"\n---\n',
+    'People/Ann.md': '---\ntype: person\naliases:\n  - UNO\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['check']);
+
+  const messages = (relPath) => fileReport(report, relPath).violations.map((v) => v.message);
+  assert.deepEqual(messages('Entities/United Nations.md'), [
+    "Duplicate 'aliases' value '[[un]]' (shared with: Entities/UN Org)",
+    "Duplicate 'aliases' value 'uno' (shared with: Entities/UNO Office)"
+  ]);
+  assert.deepEqual(messages('Entities/UNO Office.md'), ["Duplicate 'aliases' value 'uno' (shared with: Entities/United Nations)"]);
+  assert.deepEqual(messages('Entities/UN Org.md'), ["Duplicate 'aliases' value '[[un]]' (shared with: Entities/United Nations)"]);
+  assert.deepEqual(messages('People/Ann.md'), []);
+
+  const issues = readVaultFile(vault, 'Schemas/entity.md');
+  assert.match(issues, /### Duplicate aliases: uno\n- \[\[Entities\/United Nations\|United Nations\]\]\n- \[\[Entities\/UNO Office\|UNO Office\]\]\n/);
+  assert.match(issues, /### Duplicate aliases: \[\[un\]\]\n- \[\[Entities\/United Nations\|United Nations\]\]\n\n/);
+  assert.match(readVaultFile(vault, 'Schemas/org.md'), /### Duplicate aliases: \[\[un\]\]\n- \[\[Entities\/UN Org\|UN Org\]\]\n/);
+});
+
+test('unique.*: true compares against notes of every type but reports only notes with the rule', (t) => {
+  const vault = makeVault({
+    'Schemas/project.md': '---\ntype: project\nfolder: /Projects\nfield.code: ""\nunique.code: true\n---\n',
+    'Schemas/meeting.md': '---\ntype: meeting\nfolder: /Meetings\nfield.code: ""\n---\n',
+    'Projects/Alpha.md': '---\ntype: project\ncode: A-1\n---\n',
+    'Projects/Beta.md': '---\ntype: project\ncode: B-2\n---\n',
+    'Meetings/Kickoff.md': '---\ntype: meeting\ncode: a-1\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['check']);
+
+  assert.deepEqual(fileReport(report, 'Projects/Alpha.md').violations.map((v) => v.message), [
+    "Duplicate 'code' value 'a-1' (shared with: Meetings/Kickoff)"
+  ]);
+  assert.deepEqual(fileReport(report, 'Projects/Beta.md').violations, []);
+  assert.deepEqual(fileReport(report, 'Meetings/Kickoff.md').violations, []);
+});
+
+test('the starter source schema reports the same url in /Sources and /Readwise', (t) => {
+  const vault = makeVault({
+    ...starterSchemaFiles(),
+    'Sources/Paper.md': '---\ntype: source\nurl: "https://example.org/paper"\n---\n',
+    'Readwise/Paper highlights.md': '---\ntype: source\nurl: "https://EXAMPLE.org/paper"\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['check']);
+
+  assert.deepEqual(fileReport(report, 'Sources/Paper.md').violations.map((v) => v.rule), ['unique/duplicate']);
+  assert.deepEqual(fileReport(report, 'Readwise/Paper highlights.md').violations.map((v) => v.message), [
+    "Duplicate 'url' value 'https://EXAMPLE.org/paper' (shared with: Sources/Paper)"
+  ]);
+});
+
+test('fix leaves notes in any listed folder and moves others to the starred default', (t) => {
+  const vault = makeVault({
+    'Schemas/person.md': '---\ntype: person\nfolder: [/People, /People/External*]\n---\n',
+    'Schemas/project.md': '---\ntype: project\nfolder:\n  - /Work/Projects\n  - /Clients\n---\n',
+    'People/Team/Ann.md': '---\ntype: person\n---\n',
+    'People/External/Dan.md': '---\nstatus: active\n---\n',
+    'Inbox/Cara.md': '---\ntype: person\n---\n',
+    'Clients/Acme/Site.md': '---\ntype: project\n---\n',
+    'Inbox/Launch.md': '---\ntype: project\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(report, 'People/Team/Ann.md').fixes, []);
+  assert.deepEqual(fileReport(report, 'Clients/Acme/Site.md').fixes, []);
+  assert.deepEqual(fileReport(report, 'People/External/Dan.md').fixes, ["inferred type='person' from folder 'People/External'"]);
+  assert.deepEqual(fileReport(report, 'Inbox/Cara.md').fixes, ["moved file to 'People/External/Cara.md' based on schema folder"]);
+  assert.deepEqual(fileReport(report, 'Inbox/Launch.md').fixes, ["moved file to 'Work/Projects/Launch.md' based on schema folder"]);
+  assert.equal(fs.existsSync(path.join(vault, 'People', 'External', 'Cara.md')), true);
+  assert.equal(fs.existsSync(path.join(vault, 'Work', 'Projects', 'Launch.md')), true);
+});
+
+test('fix routes notes into templated folders and leaves them out of Auto Note Mover', (t) => {
+  const vault = makeVault({
+    '.obsidian/plugins/auto-note-mover/data.json': '{}\n',
+    'Schemas/meeting.md': '---\ntype: meeting\nfolder: /Meetings/{{date:YYYY}}/{{date:MM}}\nfield.date: date\n---\n',
+    'Schemas/project.md': '---\ntype: project\nfolder: /Projects/{{parent}}\nfield.parent: ""\n---\n',
+    'Schemas/person.md': '---\ntype: person\nfolder: /People\n---\n',
+    'Inbox/Sync.md': '---\ntype: meeting\ndate: 2026-03-05\n---\n',
+    'Meetings/2025/01/Retro.md': '---\ntype: meeting\ndate: 2026-03-09\n---\n',
+    'Inbox/Undated.md': '---\ntype: meeting\n---\n',
+    'Meetings/2024/Old.md': '---\ndate: 2024-02-01\n---\n',
+    'Inbox/Site.md': '---\ntype: project\nparent: "[[Clients/Acme: Inc]]"\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  const moves = Object.fromEntries(report.files.map((entry) => [entry.relativePath, entry.fixes.filter((fix) => fix.startsWith('moved'))]));
+  assert.deepEqual(moves['Inbox/Sync.md'], ["moved file to 'Meetings/2026/03/Sync.md' based on schema folder"]);
+  assert.deepEqual(moves['Meetings/2025/01/Retro.md'], ["moved file to 'Meetings/2026/03/Retro.md' based on schema folder"]);
+  assert.deepEqual(moves['Inbox/Undated.md'], ["moved file to 'Meetings/Undated.md' based on schema folder"]);
+  assert.deepEqual(moves['Inbox/Site.md'], ["moved file to 'Projects/Acme Inc/Site.md' based on schema folder"]);
+  assert.deepEqual(fileReport(report, 'Meetings/2024/Old.md').fixes, [
+    "inferred type='meeting' from folder 'Meetings/2024'",
+    "moved file to 'Meetings/2024/02/Old.md' based on schema folder"
+  ]);
+
+  assert.deepEqual(report.autoNoteMoverSync.warnings, [
+    "Schema 'type:meeting' uses templated folder 'Meetings/{{date:YYYY}}/{{date:MM}}', which Auto Note Mover cannot target",
+    "Schema 'type:project' uses templated folder 'Projects/{{parent}}', which Auto Note Mover cannot target"
+  ]);
+  const mover = JSON.parse(readVaultFile(vault, '.obsidian/plugins/auto-note-mover/data.json'));
+  assert.deepEqual(mover.folder_tag_pattern.map((rule) => rule.frontmatterProperty), ['type: person']);
+});
+
+test('list-valued extends merges ancestors depth-first, left to right, each once', (t) => {
+  const vault = makeVault({
+    'Schemas/base.md': '---\ntype: base\nfolder: /Base\nfield.status*: ""\ndefault.status: draft\n---\n',
+    'Schemas/left.md': '---\ntype: left\nextends: "[[base]]"\ndefault.status: active\nfield.owner*: ""\n---\n',
+    'Schemas/right.md': '---\ntype: right\nfolder: /Right\ndefault.status: paused\nfield.due*: date\n---\n',
+    'Schemas/hybrid.md': '---\ntype: hybrid\nextends: [[[left]], [[right]]]\n---\n',
+    'Schemas/leftish.md': '---\ntype: leftish\nextends:\n  - "[[left]]"\n  - "[[base]]"\n---\n',
+    'Inbox/H.md': '---\ntype: hybrid\n---\n',
+    'Inbox/L.md': '---\ntype: leftish\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  // base, left, right, hybrid: right's default and folder win, and every required field is kept.
+  assert.deepEqual(fileReport(report, 'Inbox/H.md').violations.map((v) => v.field), ['owner', 'due']);
+  assert.match(readVaultFile(vault, 'Right/H.md'), /status: paused/);
+  // base, left, leftish: base is not merged a second time after left.
+  assert.match(readVaultFile(vault, 'Base/L.md'), /status: active/);
+});
+
+test('an extends cycle is reported as a schema warning', (t) => {
+  const vault = makeVault({
+    'Schemas/ouro.md': '---\ntype: ouro\nextends: "[[boros]]"\nfolder: /Loop\n---\n',
+    'Schemas/boros.md': '---\ntype: boros\nextends: "[[ouro]]"\n---\n',
+    'Loop/Tail.md': '---\ntype: ouro\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { stdout } = runCli(vault, ['check']);
+
+  assert.match(stdout, /- Schema inheritance cycle detected at type:boros\n/);
+  assert.match(stdout, /- Schema inheritance cycle detected at type:ouro\n/);
+});
+
+test('unset., unset.pair. and optional. remove what a child inherits', (t) => {
+  const vault = makeVault({
+    'Schemas/entity.md': '---\ntype: entity\nfolder: /Entities\nfield.capital: ""\nfield.code*: ""\nfield.employees: []\npair.employees: colleague.employer\n---\n',
+    'Schemas/colleague.md': '---\ntype: colleague\nfolder: /People\nfield.employer: ""\n---\n',
+    'Schemas/city.md': '---\ntype: city\nextends: "[[entity]]"\nfolder: /Cities\nunset.capital: true\nunset.pair.employees: true\noptional.code: true\n---\n',
+    'Cities/Paris.md': '---\ntype: city\ncapital: ""\nemployees:\n  - "[[Ghost]]"\n---\n',
+    'Entities/Acme.md': '---\ntype: entity\ncode: AC\ncapital: ""\nemployees:\n  - "[[Ghost]]"\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  const paris = fileReport(report, 'Cities/Paris.md');
+  assert.deepEqual(paris.fixes, ["removed blank unset field 'capital'"]);
+  assert.deepEqual(paris.violations, []);
+  assert.equal(readVaultFile(vault, 'Cities/Paris.md'), '---\ntype: city\nemployees:\n  - "[[Ghost]]"\n---\n');
+  assert.deepEqual(fileReport(report, 'Entities/Acme.md').violations.map((v) => v.rule), ['backlink/unresolved']);
+});
+
+test('fix rewrites alias.* synonyms case-insensitively, from inline and YAML-list rules', (t) => {
+  const vault = makeVault({
+    'Schemas/project.md': '---\ntype: project\nfolder: /Projects\nfield.status: "active,draft,done"\nalias.status: wip=active, In Progress=active, complete=done\nfield.labels: []\nalias.labels:\n  - bug=defect\n  - FR=feature\n---\n',
+    'Projects/Alpha.md': '---\ntype: project\nstatus: IN PROGRESS\nlabels:\n  - Bug\n  - fr\n  - other\n---\n',
+    'Projects/Beta.md': '---\ntype: project\nstatus: Complete\n---\n',
+    'Projects/Gamma.md': '---\ntype: project\nstatus: unknown\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(report, 'Projects/Alpha.md').fixes, [
+    "rewrote alias 'Bug' -> 'defect' for 'labels'",
+    "rewrote alias 'fr' -> 'feature' for 'labels'",
+    "rewrote alias 'IN PROGRESS' -> 'active' for 'status'"
+  ]);
+  assert.equal(readVaultFile(vault, 'Projects/Alpha.md'), '---\ntype: project\nstatus: active\nlabels:\n  - defect\n  - feature\n  - other\n---\n');
+  assert.match(readVaultFile(vault, 'Projects/Beta.md'), /status: done/);
+  assert.deepEqual(fileReport(report, 'Projects/Gamma.md').violations.map((v) => v.rule), ['enum']);
+});
+
+test('fix applies migrate.type, migrate.rename, migrate.values and migrate.drop', (t) => {
+  const vault = makeVault({
+    'Schemas/person.md': '---\ntype: person\nfolder: /People\nfield.employer: ""\nfield.status: "active,draft"\nmigrate.type.entity-person: person\nmigrate.rename.org: employer\nmigrate.values.status: paused=draft, WIP=active\nmigrate.drop: [needs_review, legacy_id]\n---\n',
+    'Schemas/project.md': '---\ntype: project\nfolder: /Projects\n---\n',
+    'People/Ann.md': '---\ntype: entity-person\norg: Acme\nstatus: Paused\nneeds_review: true\nlegacy_id: 7\n---\n',
+    'People/Bob.md': '---\ntype: person\norg: Old\nemployer: New\nstatus: wip\n---\n',
+    'Projects/Apollo.md': '---\ntype: project\norg: Nasa\nneeds_review: true\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(report, 'People/Ann.md').fixes, [
+    "legacy type 'entity-person' -> type='person'",
+    "migrated 'org' -> 'employer'",
+    "migrated 'status' value 'Paused' -> 'draft'",
+    "removed deprecated 'needs_review'",
+    "removed deprecated 'legacy_id'"
+  ]);
+  assert.equal(readVaultFile(vault, 'People/Ann.md'), '---\ntype: person\nstatus: draft\nemployer: Acme\n---\n');
+  assert.deepEqual(fileReport(report, 'People/Bob.md').fixes, [
+    "removed 'org' ('employer' already set)",
+    "migrated 'status' value 'wip' -> 'active'"
+  ]);
+  assert.equal(readVaultFile(vault, 'People/Bob.md'), '---\ntype: person\nstatus: active\nemployer: New\n---\n');
+  // Renames, value maps and drops only apply to the declaring type.
+  assert.deepEqual(fileReport(report, 'Projects/Apollo.md').fixes, []);
+});
+
+test('fix no longer applies the retired built-in legacy migrations', (t) => {
+  const old = '---\ntype: entity\nkind: person\nfix_notes: check me\nneeds_review: true\nstatus: done\n---\n';
+  const vault = makeVault({
+    'Schemas/entity.md': '---\ntype: entity\nfolder: /Entities\nfield.status: "active,done"\n---\n',
+    'Schemas/person.md': '---\ntype: person\nfolder: /People\n---\n',
+    'Entities/Old.md': old,
+    'Entities/Legacy.md': '---\ntype: entity-person\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(report, 'Entities/Old.md').fixes, []);
+  assert.equal(readVaultFile(vault, 'Entities/Old.md'), old);
+  assert.deepEqual(fileReport(report, 'Entities/Legacy.md').violations.map((v) => v.rule), ['schema/not-found']);
+  assert.equal(readVaultFile(vault, 'Entities/Legacy.md'), '---\ntype: entity-person\n---\n');
+});
+
+test('fix archives notes by archive.when into archive.folder and warns about Auto Note Mover conflicts', (t) => {
+  const vault = makeVault({
+    '.obsidian/plugins/auto-note-mover/data.json': '{}\n',
+    'Schemas/project.md': '---\ntype: project\nfolder: /Projects\narchive.when: status in done,cancelled\narchive.folder: /Archive/Projects\n---\n',
+    'Schemas/subproject.md': '---\ntype: subproject\nextends: "[[project]]"\narchive.folder: none\n---\n',
+    'Schemas/task.md': '---\ntype: task\nfolder: /Tasks\narchive.when: status=done\n---\n',
+    'Projects/Alpha.md': '---\ntype: project\nstatus: done\n---\n',
+    'Projects/Beta.md': '---\ntype: project\nstatus: active\n---\n',
+    'Projects/Gamma.md': '---\ntype: subproject\nstatus: done\n---\n',
+    'Tasks/Ship.md': '---\ntype: task\nstatus: Done\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(report, 'Projects/Alpha.md').fixes, ["moved file to 'Archive/Projects/Alpha.md' based on schema folder"]);
+  assert.deepEqual(fileReport(report, 'Tasks/Ship.md').fixes, ["moved file to 'Archive/Ship.md' based on schema folder"]);
+  assert.deepEqual(fileReport(report, 'Projects/Beta.md').fixes, []);
+  assert.deepEqual(fileReport(report, 'Projects/Gamma.md').fixes, []);
+  assert.equal(fs.existsSync(path.join(vault, 'Archive', 'Projects', 'Alpha.md')), true);
+
+  assert.deepEqual(report.autoNoteMoverSync.warnings, [
+    "Schema 'type:task' archives 'status: done' to 'Archive', but Auto Note Mover already routes it to 'Archive/Projects'"
+  ]);
+  const mover = JSON.parse(readVaultFile(vault, '.obsidian/plugins/auto-note-mover/data.json'));
+  assert.deepEqual(
+    mover.folder_tag_pattern.filter((rule) => rule.frontmatterProperty.startsWith('status:')).map((rule) => [rule.frontmatterProperty, rule.folder]),
+    [['status: cancelled', 'Archive/Projects'], ['status: done', 'Archive/Projects']]
+  );
+});
+
+test('titleTemplate renames once, stays stable on later runs and follows date changes', (t) => {
+  const vault = makeVault({
+    'Schemas/meeting.md': '---\ntype: meeting\nfolder: /Meetings\nfield.date: date\nfield.project: ""\ntitleTemplate: "{{date}} {{project}} - {{title}}"\n---\n',
+    'Meetings/Kickoff.md': '---\ntype: meeting\ndate: 2026-03-05\nproject: "[[Projects/Apollo]]"\n---\n',
+    'Meetings/Standup.md': '---\ntype: meeting\ndate: 2026-03-05\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const first = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(first.report, 'Meetings/Kickoff.md').fixes, [
+    "applied titleTemplate -> '2026-03-05 Apollo - Kickoff'",
+    "renamed file to 'Meetings/2026-03-05 Apollo - Kickoff.md'"
+  ]);
+  // The rename is skipped while a placeholder is empty.
+  assert.deepEqual(fileReport(first.report, 'Meetings/Standup.md').fixes, []);
+
+  const second = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(second.report, 'Meetings/2026-03-05 Apollo - Kickoff.md').fixes, []);
+
+  const renamed = path.join(vault, 'Meetings', '2026-03-05 Apollo - Kickoff.md');
+  fs.writeFileSync(renamed, fs.readFileSync(renamed, 'utf8').replace('date: 2026-03-05', 'date: 2026-03-06'));
+  const third = runCli(vault, ['fix']);
+
+  assert.deepEqual(fileReport(third.report, 'Meetings/2026-03-05 Apollo - Kickoff.md').fixes, [
+    "applied titleTemplate -> '2026-03-06 Apollo - Kickoff'",
+    "renamed file to 'Meetings/2026-03-06 Apollo - Kickoff.md'"
+  ]);
+  assert.deepEqual(fs.readdirSync(path.join(vault, 'Meetings')).sort(), ['2026-03-06 Apollo - Kickoff.md', 'Standup.md']);
+});
+
+const PAPER_SCHEMAS = {
+  'Schemas/source.md': '---\ntype: source\nfolder: /Sources\nfield.kind: ""\n---\n',
+  'Schemas/paper.md': '---\ntype: paper\nextends: "[[source]]"\nmatch.kind: paper\nfield.doi: ""\n---\n'
+};
+
+test('match.* refines a note to the subtype whose conditions hold and keeps its type', (t) => {
+  const vault = makeVault({
+    ...PAPER_SCHEMAS,
+    'Schemas/draft-paper.md': '---\ntype: draft-paper\nextends: "[[paper]]"\nmatch.kind: paper\nmatch.status: draft\n---\n',
+    'Sources/Attention.md': '---\ntype: source\nkind: Paper\n---\n',
+    'Sources/Dune.md': '---\ntype: source\nkind: book\n---\n',
+    'Sources/Loose.md': '---\nkind: paper\n---\n',
+    'Sources/Sketch.md': '---\ntype: source\nkind: paper\nstatus: draft\n---\n',
+    'Sources/Odd.md': '---\ntype: paper\nkind: book\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  const schemaOf = (relPath) => fileReport(report, relPath).schema;
+  assert.deepEqual(schemaOf('Sources/Attention.md'), ['type:paper']);
+  assert.deepEqual(schemaOf('Sources/Dune.md'), ['type:source']);
+  assert.deepEqual(schemaOf('Sources/Loose.md'), ['type:paper']);
+  assert.deepEqual(schemaOf('Sources/Sketch.md'), ['type:draft-paper']);
+  assert.deepEqual(schemaOf('Sources/Odd.md'), ['type:paper']);
+  assert.match(readVaultFile(vault, 'Sources/Attention.md'), /^---\ntype: source\n/);
+  assert.match(readVaultFile(vault, 'Sources/Loose.md'), /^---\ntype: source\n/);
+});
+
+test('match.* refinement keeps the note\'s own type when a subtype ties on conditions', (t) => {
+  const vault = makeVault({
+    ...PAPER_SCHEMAS,
+    'Schemas/a-preprint.md': '---\ntype: a-preprint\nextends: "[[paper]]"\nmatch.kind: paper\n---\n',
+    'Sources/Typed.md': '---\ntype: paper\nkind: paper\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['check']);
+
+  assert.deepEqual(fileReport(report, 'Sources/Typed.md').schema, ['type:paper']);
+});
+
+test('fix applies migrate.rename before deprecated.* so a renamed field is moved on', (t) => {
+  const vault = makeVault({
+    'Schemas/project.md': '---\ntype: project\nfolder: /Projects\nfield.lead: ""\nmigrate.rename.manager: owner\ndeprecated.owner: lead\n---\n',
+    'Projects/Alpha.md': '---\ntype: project\nmanager: "[[Ann]]"\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  const entry = fileReport(report, 'Projects/Alpha.md');
+  assert.deepEqual(entry.fixes, ["migrated 'manager' -> 'owner'", "moved deprecated 'owner' -> 'lead'"]);
+  assert.deepEqual(entry.violations, []);
+  assert.equal(readVaultFile(vault, 'Projects/Alpha.md'), '---\ntype: project\nlead: "[[Ann]]"\n---\n');
+});
+
+test('ONTOLOGY.md lists describe. and example. docs in each field row', (t) => {
+  const vault = makeVault({
+    'Schemas/organ.md': '---\ntype: organ\nfolder: /Entities\nfield.intergovs: []\ndescribe.intergovs: Intergovernmental bodies | forums the organ reports to\nexample.intergovs: "[[ECOSOC]]"\nfield.status*: active,done\n---\n',
+    'Schemas/council.md': '---\ntype: council\nextends: "[[organ]]"\nexample.intergovs: "[[UNGA]]"\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  runCli(vault, ['check']);
+
+  const ontology = readVaultFile(vault, 'ONTOLOGY.md');
+  const section = (type) => ontology.slice(ontology.indexOf(`## \`${type}\``)).split('\n\n## ')[0];
+  assert.match(section('organ'), /\n\| Field \| Type \| Required \| Values \| Default \| Pair \| Description \| Example \|\n/);
+  assert.match(
+    section('organ'),
+    /\n\| `intergovs` \| array \| - \| - \| - \| - \| Intergovernmental bodies \\\| forums the organ reports to \| `\[\[ECOSOC\]\]` \|\n/
+  );
+  assert.match(section('organ'), /\n\| `status` \| string \| yes \| active, done \| - \| - \| - \| - \|\n/);
+  // The description is inherited; the example is overridden.
+  assert.match(
+    section('council'),
+    /\n\| `intergovs` \| array \| - \| - \| - \| - \| Intergovernmental bodies \\\| forums the organ reports to \| `\[\[UNGA\]\]` \|\n/
+  );
+});
+
+test('abstract schemas flag their notes and stay out of Schema.base views and Auto Note Mover', (t) => {
+  const vault = makeVault({
+    '.obsidian/plugins/auto-note-mover/data.json': '{}\n',
+    'Schemas/log.md': '---\ntype: log\nabstract: true\nfolder: /Logs\nfield.date*: date\n---\n',
+    'Schemas/worklog.md': '---\ntype: worklog\nextends: "[[log]]"\nfolder: /Logs/Work\n---\n',
+    'Logs/L1.md': '---\ntype: log\ndate: 2026-01-02\n---\n',
+    'Logs/Work/W1.md': '---\ntype: worklog\ndate: 2026-01-02\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['check']);
+
+  assert.deepEqual(fileReport(report, 'Logs/L1.md').violations, [
+    { rule: 'type/abstract', field: 'type', message: "Type 'log' is abstract; use one of: 'worklog'" }
+  ]);
+  assert.deepEqual(fileReport(report, 'Logs/Work/W1.md').violations, []);
+
+  const base = readVaultFile(vault, 'Schema.base');
+  assert.match(base, /\n {12}- type == "log"\n/);
+  assert.match(base, /\n {4}name: "Worklog Missing Required"\n/);
+  assert.doesNotMatch(base, /name: "Log Missing Required"/);
+
+  const mover = JSON.parse(readVaultFile(vault, '.obsidian/plugins/auto-note-mover/data.json'));
+  assert.deepEqual(mover.folder_tag_pattern.map((rule) => rule.frontmatterProperty), ['type: worklog']);
+});
+
+test('fix infers a missing type from inferFrom.tag, then folder, then inferFrom.filename', (t) => {
+  const vault = makeVault({
+    'Schemas/meeting.md': '---\ntype: meeting\nfolder: /Meetings\ninferFrom.tag: meeting\n---\n',
+    'Schemas/call.md': '---\ntype: call\nfolder: /Calls\ninferFrom.tag: meeting\n---\n',
+    'Schemas/standup.md': '---\ntype: standup\nfolder: /Standups\ninferFrom.tag: standup\n---\n',
+    'Schemas/daily.md': '---\ntype: daily\nfolder: /Dailies\ninferFrom.filename: ^\\d{4}-\\d{2}-\\d{2}$\n---\n',
+    'Dailies/Sync.md': '---\ntags: [type/standup]\n---\n',
+    'Meetings/2026-02-04.md': '---\ntitle: Review\n---\n',
+    'Inbox/2026-02-05.md': '---\ntitle: Journal\n---\n',
+    'Inbox/Both.md': '---\ntags: [meeting]\n---\n'
+  });
+  t.after(() => removeVault(vault));
+
+  const { report } = runCli(vault, ['fix']);
+
+  // The tag beats the folder, and the folder beats the filename; both notes are flagged.
+  const tagged = fileReport(report, 'Dailies/Sync.md');
+  assert.deepEqual(tagged.fixes, ["inferred type='standup' from tags", "moved file to 'Standups/Sync.md' based on schema folder"]);
+  assert.deepEqual(tagged.ambiguous, ["Type inference disagrees: tag -> 'standup'; folder -> 'daily' (using 'standup')"]);
+  const dated = fileReport(report, 'Meetings/2026-02-04.md');
+  assert.deepEqual(dated.fixes, ["inferred type='meeting' from folder 'Meetings'"]);
+  assert.deepEqual(dated.ambiguous, ["Type inference disagrees: folder -> 'meeting'; filename -> 'daily' (using 'meeting')"]);
+
+  const journal = fileReport(report, 'Inbox/2026-02-05.md');
+  assert.deepEqual(journal.fixes, ["inferred type='daily' from filename '2026-02-05'", "moved file to 'Dailies/2026-02-05.md' based on schema folder"]);
+  assert.deepEqual(journal.ambiguous, []);
+
+  // A deciding rule with several types infers nothing.
+  const both = fileReport(report, 'Inbox/Both.md');
+  assert.deepEqual(both.schema, []);
+  assert.deepEqual(both.ambiguous, ["Type inference is ambiguous: tag -> 'call', 'meeting'"]);
+  assert.deepEqual(both.fixes, ["moved file without type to root 'Both.md'"]);
+  assert.equal(
+    readVaultFile(vault, 'Both.md'),
+    '---\nschema_notes:\n  - "Type inference is ambiguous: tag -> \'call\', \'meeting\'"\ntags:\n  - meeting\n---\n'
+  );
+});
+
+test('fix resolves default.* tokens and leaves a required field blank when a token has no value', (t) => {
+  const meetingSchema = [
+    '---',
+    'type: meeting',
+    'folder: /Meetings',
+    'field.date*: date',
+    'default.date: "{{filename.date}}"',
+    'field.logged*: ""',
+    'default.logged: "{{now}}"',
+    'field.year*: ""',
+    'default.year: "{{today:YYYY}}"',
+    'field.place*: ""',
+    'default.place: "{{folder|lower}}"',
+    'field.owner*: ""',
+    'default.owner: "[[{{setting.author}}]]"',
+    '---',
+    ''
+  ].join('\n');
+  const files = {
+    'Schemas/meeting.md': meetingSchema,
+    'Meetings/2026-03-05 Sync.md': '---\ntype: meeting\n---\n',
+    'Meetings/Retro.md': '---\ntype: meeting\n---\n'
+  };
+  const withAuthor = makeVault(files);
+  const withoutAuthor = makeVault(files);
+  t.after(() => {
+    removeVault(withAuthor);
+    removeVault(withoutAuthor);
+  });
+
+  const { report } = runCli(withAuthor, ['fix', '--author', 'Ada Lovelace']);
+
+  assert.deepEqual(fileReport(report, 'Meetings/2026-03-05 Sync.md').fixes, [
+    "added required 'date' from schema default",
+    "added required 'logged' from schema default",
+    "added required 'owner' from schema default",
+    "added required 'place' from schema default",
+    "added required 'year' from schema default"
+  ]);
+  assert.match(
+    readVaultFile(withAuthor, 'Meetings/2026-03-05 Sync.md'),
+    /^---\ntype: meeting\ndate: 2026-03-05\nlogged: "\d{4}-\d{2}-\d{2}T\d{2}:\d{2}"\nowner: "\[\[Ada Lovelace\]\]"\nplace: meetings\nyear: "\d{4}"\n---\n$/
+  );
+  // No date at the start of the file name, so `{{filename.date}}` has no value.
+  const retro = fileReport(report, 'Meetings/Retro.md');
+  assert.equal(retro.fixes[0], "added required 'date' (blank)");
+  assert.deepEqual(retro.violations, [{ rule: 'required', field: 'date', message: "Missing required field 'date'" }]);
+  assert.match(readVaultFile(withAuthor, 'Meetings/Retro.md'), /\ndate: null\n/);
+
+  const { report: anonymous } = runCli(withoutAuthor, ['fix']);
+
+  const sync = fileReport(anonymous, 'Meetings/2026-03-05 Sync.md');
+  assert.equal(sync.fixes.includes("added required 'owner' (blank)"), true);
+  assert.deepEqual(sync.violations, [{ rule: 'required', field: 'owner', message: "Missing required field 'owner'" }]);
+  assert.match(readVaultFile(withoutAuthor, 'Meetings/2026-03-05 Sync.md'), /\nowner: null\n/);
+});